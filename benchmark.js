@@ -0,0 +1,124 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { runPayroll, getPayslip, getShiftStore } = require("./main.js");
+
+// Times payroll over a generated shifts file: by default 2,000 drivers with
+// two shifts a day for 250 days of 2025, i.e. 1,000,000 rows. The data goes
+// to a temporary directory that is removed afterwards.
+//   node benchmark.js [--drivers 2000] [--days 250]
+function parseArgs(argv) {
+    const options = { drivers: 2000, days: 250 };
+
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, "");
+        const value = Number(argv[i + 1]);
+
+        if (!(key in options) || !Number.isInteger(value) || value < 1)
+            throw new Error(`Usage: node benchmark.js [--drivers <n>] [--days <n>]`);
+
+        options[key] = value;
+    }
+
+    return options;
+}
+
+const DAYS_OFF = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Two shifts a day: one starting before the 8:00 am window opens, so it has
+// idle time, and one inside the window
+const DAILY_SHIFTS = [
+    ["7:00:00 am", "11:00:00 am", "4:00:00", "1:00:00", "3:00:00"],
+    ["1:00:00 pm", "6:30:00 pm", "5:30:00", "0:00:00", "5:30:00"]
+];
+
+function getDriverID(n) {
+    return `D${String(n + 1).padStart(5, "0")}`;
+}
+
+function formatDay(dayNumber) {
+    return new Date(Date.UTC(2025, 0, 1 + dayNumber)).toISOString().slice(0, 10);
+}
+
+function writeData(dir, { drivers, days }) {
+    const rates = ["DriverID,DayOff,BasePay,Tier,DriverName,EffectiveFrom,Status"];
+    for (let n = 0; n < drivers; n++)
+        rates.push(`${getDriverID(n)},${DAYS_OFF[n % 7]},${20000 + (n % 5) * 2500},${1 + (n % 4)},Driver ${n + 1},,active`);
+
+    fs.writeFileSync(path.join(dir, "driverRates.txt"), rates.join("\n"));
+
+    // Written a driver at a time to keep memory flat
+    const dates = Array.from({ length: days }, (_, i) => formatDay(i));
+    const fd = fs.openSync(path.join(dir, "shifts.txt"), "w");
+
+    fs.writeSync(fd, "DriverID,DriverName,Date,StartTime,EndTime,ShiftDuration,IdleTime,ActiveTime,MetQuota,HasBonus\n");
+
+    for (let n = 0; n < drivers; n++) {
+        const lines = [];
+
+        dates.forEach((date, i) => {
+            DAILY_SHIFTS.forEach(([start, end, duration, idle, active], shift) => {
+                const hasBonus = shift === 1 && (i + n) % 9 === 0;
+                lines.push(`${getDriverID(n)},Driver ${n + 1},${date},${start},${end},${duration},${idle},${active},${shift === 1},${hasBonus}`);
+            });
+        });
+
+        fs.writeSync(fd, lines.join("\n") + "\n");
+    }
+
+    fs.closeSync(fd);
+}
+
+function time(label, fn) {
+    const started = process.hrtime.bigint();
+    const result = fn();
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+    console.log(`${label.padEnd(44)} ${seconds.toFixed(2).padStart(8)} s`);
+
+    return result;
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "shift-benchmark-"));
+    const shiftsFile = path.join(dir, "shifts.txt");
+    const ratesFile = path.join(dir, "driverRates.txt");
+
+    try {
+        time("Generate data", () => writeData(dir, options));
+
+        const rows = options.drivers * options.days * DAILY_SHIFTS.length;
+        const size = fs.statSync(shiftsFile).size / (1024 * 1024);
+        console.log(`${rows.toLocaleString("en-US")} shifts for ${options.drivers.toLocaleString("en-US")} drivers, ${size.toFixed(0)} MB`);
+
+        time("Load and index shifts", () => getShiftStore(shiftsFile).all());
+        time("Payroll 2025-03 (all drivers)", () => runPayroll(shiftsFile, ratesFile, "2025-03"));
+        time("Payslip 2025-03 (one driver)", () => getPayslip(shiftsFile, ratesFile, getDriverID(0), "2025-03"));
+
+        time("Payroll for every month of 2025", () => {
+            for (let month = 1; month <= 12; month++)
+                runPayroll(shiftsFile, ratesFile, `2025-${String(month).padStart(2, "0")}`);
+        });
+
+        // A changed mtime makes the next query reload the file
+        const later = new Date(Date.now() + 1000);
+        fs.utimesSync(shiftsFile, later, later);
+        time("Payroll 2025-03 after the file changed", () => runPayroll(shiftsFile, ratesFile, "2025-03"));
+
+        const heap = process.memoryUsage().heapUsed / (1024 * 1024);
+        console.log(`Heap used: ${heap.toFixed(0)} MB`);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
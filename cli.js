@@ -0,0 +1,519 @@
+const fs = require("fs");
+
+const {
+    addShiftRecord,
+    setBonus,
+    importShifts,
+    updateShiftRecord,
+    deleteShiftRecord,
+    clockIn,
+    clockOut,
+    getDriversOnShift,
+    countBonusPerMonth,
+    getTotalActiveHoursPerMonth,
+    getRequiredHoursPerMonth,
+    runPayroll,
+    getPayslip,
+    closePeriod,
+    reopenPeriod,
+    runBonusRules,
+    getAttendanceReport,
+    getAnomalyReport,
+    addDriver,
+    updateDriver,
+    deactivateDriver,
+    listDrivers,
+    getDriverRate,
+    ShiftTrackerError,
+    UnknownDriverError,
+    DuplicateShiftError,
+    DuplicateDriverError,
+    ConflictError,
+    LockTimeoutError,
+    ShiftNotFoundError,
+    PeriodClosedError,
+    UnauthorisedError
+} = require("./main.js");
+
+// Exit codes
+const EXIT = {
+    OK: 0,
+    USAGE: 1,
+    FILE_MISSING: 2,
+    UNKNOWN_DRIVER: 3,
+    DUPLICATE: 4,
+    INVALID_INPUT: 5,
+    CONFLICT: 6,
+    PERIOD_CLOSED: 7,
+    UNAUTHORISED: 8,
+    NOT_FOUND: 9
+};
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  add-shift       --driver <id> --name <name> --date <yyyy-mm-dd> --start <time> --end <time> [--end-date <yyyy-mm-dd>]
+  set-bonus       --driver <id> --date <yyyy-mm-dd> --value <true|false>
+  update-shift    --driver <id> --date <yyyy-mm-dd> [--at <time>] [--name <name>] [--new-date <yyyy-mm-dd>]
+                  [--start <time>] [--end <time>] [--end-date <yyyy-mm-dd>]
+  delete-shift    --driver <id> --date <yyyy-mm-dd> [--at <time>]
+  clock-in        --driver <id> [--at <yyyy-mm-dd hh:mm:ss am|pm>]
+  clock-out       --driver <id> [--at <yyyy-mm-dd hh:mm:ss am|pm>]
+  on-shift        [--max <h:mm:ss>]
+  import          --file <shifts.csv|shifts.json> [--on-duplicate <skip|reject>]
+  bonus-count     --driver <id> --month <m|yyyy-mm>
+  active-hours    --driver <id> --month <m|yyyy-mm>
+  required-hours  --driver <id> --month <m|yyyy-mm> [--bonus <count>] [--all-days <true|false>]
+  net-pay         --driver <id> --month <m|yyyy-mm>
+  payslip         --driver <id> --month <yyyy-mm>
+  attendance      --driver <id> --month <yyyy-mm>
+  anomalies       [--period <m|yyyy-mm>] [--max-shift <h:mm:ss>] [--max-idle <share>]
+  payroll         --period <yyyy-mm> [--out <file>]
+  close-period    --period <yyyy-mm>
+  reopen-period   --period <yyyy-mm> --reason <text> --actor <name>
+  add-driver      --driver <id> --name <name> --day-off <weekday> --salary <amount> --tier <n> [--from <yyyy-mm-dd>]
+  update-driver   --driver <id> --from <yyyy-mm-dd> [--name <name>] [--day-off <weekday>] [--salary <amount>] [--tier <n>]
+  deactivate-driver --driver <id> --from <yyyy-mm-dd>
+  list-drivers    [--date <yyyy-mm-dd>] [--all <true|false>]
+  bonus-rules     --month <yyyy-mm> [--rules <file>] [--max <count>] [--apply <true|false>]
+
+Options:
+  --shifts <file>   shifts file (default: ./shifts.txt)
+  --rates <file>    driver rates file (default: ./driverRates.txt)
+  --format <type>   table or json (default: table)
+  --actor <name>    who made the change, for the audit log (add-shift, set-bonus, update-shift,
+                    delete-shift, clock-out, import, bonus-rules, close-period, reopen-period)
+  --at <time>       start time of the shift to change, when the driver has several that day;
+                    for clock-in and clock-out the clock time (default: now, local time)`;
+
+class CliError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+// Helpers
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const options = {};
+
+    for (let i = 0; i < rest.length; i++) {
+        if (!rest[i].startsWith("--"))
+            throw new CliError(`Unexpected argument: ${rest[i]}`, EXIT.USAGE);
+
+        const key = rest[i].slice(2);
+        const value = rest[i + 1];
+
+        if (value === undefined || value.startsWith("--"))
+            throw new CliError(`Missing value for --${key}`, EXIT.USAGE);
+
+        options[key] = value;
+        i++;
+    }
+
+    return { command, options };
+}
+
+function requireOptions(options, ...names) {
+    for (const name of names) {
+        if (options[name] === undefined)
+            throw new CliError(`Missing required option --${name}`, EXIT.USAGE);
+    }
+}
+
+function requireFile(filePath) {
+    if (!fs.existsSync(filePath))
+        throw new CliError(`File not found: ${filePath}`, EXIT.FILE_MISSING);
+}
+
+// Throws UnknownDriverError when the driver is not in the rates file
+function requireDriver(ratesFile, driverID) {
+    getDriverRate(ratesFile, driverID);
+}
+
+function printTable(rows) {
+    if (rows.length === 0) {
+        console.log("(no rows)");
+        return;
+    }
+
+    const columns = Object.keys(rows[0]);
+    const widths = columns.map(column =>
+        Math.max(column.length, ...rows.map(row => String(row[column]).length)));
+
+    const format = values => values.map((value, i) => String(value).padEnd(widths[i])).join("  ").trimEnd();
+
+    console.log(format(columns));
+    console.log(widths.map(width => "-".repeat(width)).join("  "));
+    rows.forEach(row => console.log(format(columns.map(column => row[column]))));
+}
+
+// Payslips without their itemised lists, one table row each
+function toPayrollRows(payslips) {
+    return payslips.map(({ items, rates, adjustments, ...payslip }) => payslip);
+}
+
+function print(result, format) {
+    if (format === "json")
+        console.log(JSON.stringify(result, null, 2));
+    else
+        printTable(Array.isArray(result) ? result : [result]);
+}
+
+// Commands
+const COMMANDS = {
+    "add-shift": (options, files) => {
+        requireOptions(options, "driver", "name", "date", "start", "end");
+        requireDriver(files.rates, options.driver);
+
+        return addShiftRecord(files.shifts, {
+            driverID: options.driver,
+            driverName: options.name,
+            date: options.date,
+            startTime: options.start,
+            endTime: options.end,
+            endDate: options["end-date"]
+        }, options.actor, { rateFile: files.rates });
+    },
+
+    "set-bonus": (options, files) => {
+        requireOptions(options, "driver", "date", "value");
+        requireFile(files.shifts);
+        requireDriver(files.rates, options.driver);
+
+        if (options.value !== "true" && options.value !== "false")
+            throw new CliError("--value must be true or false", EXIT.USAGE);
+
+        setBonus(files.shifts, options.driver, options.date, options.value === "true", options.actor);
+
+        return { driverID: options.driver, date: options.date, hasBonus: options.value === "true" };
+    },
+
+    "update-shift": (options, files) => {
+        requireOptions(options, "driver", "date");
+        requireFile(files.shifts);
+        requireDriver(files.rates, options.driver);
+
+        const fields = { name: "driverName", "new-date": "date", start: "startTime", end: "endTime", "end-date": "endDate" };
+        const changes = {};
+
+        for (const [option, field] of Object.entries(fields))
+            if (options[option] !== undefined)
+                changes[field] = options[option];
+
+        if (Object.keys(changes).length === 0)
+            throw new CliError("Nothing to update: give --name, --new-date, --start, --end or --end-date", EXIT.USAGE);
+
+        return updateShiftRecord(files.shifts,
+            { driverID: options.driver, date: options.date, startTime: options.at }, changes, options.actor, { rateFile: files.rates });
+    },
+
+    "delete-shift": (options, files) => {
+        requireOptions(options, "driver", "date");
+        requireFile(files.shifts);
+        requireDriver(files.rates, options.driver);
+
+        return deleteShiftRecord(files.shifts,
+            { driverID: options.driver, date: options.date, startTime: options.at }, options.actor, { rateFile: files.rates });
+    },
+
+    "clock-in": (options, files) => {
+        requireOptions(options, "driver");
+
+        return clockIn(files.shifts, options.driver, { at: options.at, rateFile: files.rates });
+    },
+
+    "clock-out": (options, files) => {
+        requireOptions(options, "driver");
+
+        return clockOut(files.shifts, options.driver, { at: options.at, actor: options.actor, rateFile: files.rates });
+    },
+
+    "on-shift": (options, files) => {
+        return getDriversOnShift(files.shifts, { maxOpen: options.max });
+    },
+
+    // The table shows the per-row report, JSON adds the number written
+    "import": (options, files) => {
+        requireOptions(options, "file");
+        requireFile(options.file);
+
+        const result = importShifts(files.shifts, options.file, {
+            onDuplicate: options["on-duplicate"],
+            actor: options.actor,
+            rateFile: files.rates
+        });
+
+        return options.format === "json"
+            ? result
+            : result.rows.map(row => ({ ...row, error: row.error || "" }));
+    },
+
+    "bonus-count": (options, files) => {
+        requireOptions(options, "driver", "month");
+        requireFile(files.shifts);
+        requireDriver(files.rates, options.driver);
+
+        const bonusCount = Math.max(0, countBonusPerMonth(files.shifts, options.driver, options.month));
+
+        return { driverID: options.driver, month: options.month, bonusCount };
+    },
+
+    "active-hours": (options, files) => {
+        requireOptions(options, "driver", "month");
+        requireFile(files.shifts);
+        requireDriver(files.rates, options.driver);
+
+        const activeHours = getTotalActiveHoursPerMonth(files.shifts, options.driver, options.month);
+
+        return { driverID: options.driver, month: options.month, activeHours };
+    },
+
+    "required-hours": (options, files) => {
+        requireOptions(options, "driver", "month");
+        requireFile(files.shifts);
+        requireDriver(files.rates, options.driver);
+
+        if (options.bonus !== undefined && !/^\d+$/.test(options.bonus))
+            throw new CliError("--bonus must be a whole number", EXIT.USAGE);
+
+        const bonusCount = options.bonus !== undefined
+            ? Number(options.bonus)
+            : Math.max(0, countBonusPerMonth(files.shifts, options.driver, options.month));
+
+        if (options["all-days"] !== undefined && options["all-days"] !== "true" && options["all-days"] !== "false")
+            throw new CliError("--all-days must be true or false", EXIT.USAGE);
+
+        const requiredHours = getRequiredHoursPerMonth(files.shifts, files.rates, bonusCount, options.driver, options.month,
+            { allScheduledDays: options["all-days"] === "true" });
+
+        return { driverID: options.driver, month: options.month, bonusCount, requiredHours };
+    },
+
+    "net-pay": (options, files) => {
+        requireOptions(options, "driver", "month");
+        requireFile(files.shifts);
+        requireDriver(files.rates, options.driver);
+
+        // The payslip pays weekend and holiday overtime and the bonus
+        // payout, which getNetPay can't from monthly totals
+        const { actualHours, requiredHours, netPay } = getPayslip(files.shifts, files.rates, options.driver, options.month);
+
+        return { driverID: options.driver, month: options.month, actualHours, requiredHours, netPay };
+    },
+
+    // The table shows the itemised lines, JSON the whole payslip
+    "payslip": (options, files) => {
+        requireOptions(options, "driver", "month");
+        requireFile(files.shifts);
+
+        const payslip = getPayslip(files.shifts, files.rates, options.driver, options.month);
+
+        return options.format === "json"
+            ? payslip
+            : [...payslip.items, { item: "Net pay", amount: payslip.netPay }];
+    },
+
+    // The table shows one row per day, JSON adds the summary
+    "attendance": (options, files) => {
+        requireOptions(options, "driver", "month");
+        requireFile(files.shifts);
+
+        const report = getAttendanceReport(files.shifts, files.rates, options.driver, options.month);
+
+        return options.format === "json"
+            ? report
+            : report.days.map(day => ({ ...day, holiday: day.holiday || "", metQuota: day.metQuota === null ? "-" : day.metQuota }));
+    },
+
+    // The table shows one row per finding, JSON groups them by driver
+    "anomalies": (options, files) => {
+        requireFile(files.shifts);
+
+        const maxIdleShare = options["max-idle"] !== undefined ? Number(options["max-idle"]) : undefined;
+
+        if (maxIdleShare !== undefined && isNaN(maxIdleShare))
+            throw new CliError("--max-idle must be a number from 0 to 1", EXIT.USAGE);
+
+        const report = getAnomalyReport(files.shifts, files.rates, {
+            period: options.period,
+            maxShift: options["max-shift"],
+            maxIdleShare
+        });
+
+        return options.format === "json"
+            ? report
+            : report.flatMap(driver => driver.anomalies.map(anomaly => ({ driverID: driver.driverID, ...anomaly })));
+    },
+
+    "add-driver": (options, files) => {
+        requireOptions(options, "driver", "name", "day-off", "salary", "tier");
+
+        return addDriver(files.rates, {
+            driverID: options.driver,
+            driverName: options.name,
+            dayOff: options["day-off"],
+            basePay: options.salary,
+            tier: options.tier
+        }, options.from);
+    },
+
+    "update-driver": (options, files) => {
+        requireOptions(options, "driver", "from");
+
+        const changes = {};
+        if (options.name !== undefined) changes.driverName = options.name;
+        if (options["day-off"] !== undefined) changes.dayOff = options["day-off"];
+        if (options.salary !== undefined) changes.basePay = options.salary;
+        if (options.tier !== undefined) changes.tier = options.tier;
+
+        if (Object.keys(changes).length === 0)
+            throw new CliError("Nothing to update: give --name, --day-off, --salary or --tier", EXIT.USAGE);
+
+        return updateDriver(files.rates, options.driver, changes, options.from);
+    },
+
+    "deactivate-driver": (options, files) => {
+        requireOptions(options, "driver", "from");
+
+        return deactivateDriver(files.rates, options.driver, options.from);
+    },
+
+    "list-drivers": (options, files) => {
+        if (options.all !== undefined && options.all !== "true" && options.all !== "false")
+            throw new CliError("--all must be true or false", EXIT.USAGE);
+
+        return listDrivers(files.rates, { date: options.date, includeInactive: options.all === "true" });
+    },
+
+    // The table leaves out the itemised lists, JSON has them
+    "payroll": (options, files) => {
+        requireOptions(options, "period");
+        requireFile(files.shifts);
+
+        const payslips = runPayroll(files.shifts, files.rates, options.period, options.out);
+
+        return options.format === "json" ? payslips : toPayrollRows(payslips);
+    },
+
+    // The table shows the stored payslips, JSON the whole entry
+    "close-period": (options, files) => {
+        requireOptions(options, "period");
+        requireFile(files.shifts);
+
+        const entry = closePeriod(files.shifts, files.rates, options.period, { actor: options.actor });
+
+        return options.format === "json" ? entry : toPayrollRows(entry.payroll);
+    },
+
+    "reopen-period": (options, files) => {
+        requireOptions(options, "period", "reason", "actor");
+        requireFile(files.shifts);
+
+        const entry = reopenPeriod(files.shifts, options.period, { actor: options.actor, reason: options.reason });
+
+        return options.format === "json"
+            ? entry
+            : entry.history.map(change => ({ ...change, reason: change.reason || "" }));
+    },
+
+    // Dry run unless --apply true
+    "bonus-rules": (options, files) => {
+        requireOptions(options, "month");
+        requireFile(files.shifts);
+
+        if (options.rules !== undefined)
+            requireFile(options.rules);
+
+        if (options.apply !== undefined && options.apply !== "true" && options.apply !== "false")
+            throw new CliError("--apply must be true or false", EXIT.USAGE);
+
+        const maxPerDriver = options.max !== undefined ? Number(options.max) : Infinity;
+        if (!Number.isInteger(maxPerDriver) && maxPerDriver !== Infinity)
+            throw new CliError("--max must be a whole number", EXIT.USAGE);
+
+        const report = runBonusRules(files.shifts, files.rates, options.month, options.rules, {
+            apply: options.apply === "true",
+            maxPerDriver,
+            actor: options.actor
+        });
+
+        return options.format === "json"
+            ? report
+            : report.map(row => ({ ...row, rules: row.rules.join(" ") }));
+    }
+};
+
+function getExitCode(error) {
+    if (error instanceof CliError)
+        return error.exitCode;
+
+    if (error instanceof UnknownDriverError)
+        return EXIT.UNKNOWN_DRIVER;
+
+    if (error instanceof ShiftNotFoundError)
+        return EXIT.NOT_FOUND;
+
+    if (error instanceof DuplicateShiftError || error instanceof DuplicateDriverError)
+        return EXIT.DUPLICATE;
+
+    if (error instanceof ConflictError || error instanceof LockTimeoutError)
+        return EXIT.CONFLICT;
+
+    if (error instanceof PeriodClosedError)
+        return EXIT.PERIOD_CLOSED;
+
+    if (error instanceof UnauthorisedError)
+        return EXIT.UNAUTHORISED;
+
+    return EXIT.INVALID_INPUT;
+}
+
+function main(argv) {
+    try {
+        const { command, options } = parseArgs(argv);
+
+        if (!command || command === "help" || command === "--help") {
+            console.log(USAGE);
+            return EXIT.OK;
+        }
+
+        if (!COMMANDS[command])
+            throw new CliError(`Unknown command: ${command}`, EXIT.USAGE);
+
+        const format = options.format || "table";
+        if (format !== "table" && format !== "json")
+            throw new CliError("--format must be table or json", EXIT.USAGE);
+
+        const files = {
+            shifts: options.shifts || "./shifts.txt",
+            rates: options.rates || "./driverRates.txt"
+        };
+
+        // add-driver may start a new roster
+        if (command !== "add-driver")
+            requireFile(files.rates);
+
+        print(COMMANDS[command](options, files), format);
+
+        return EXIT.OK;
+    } catch (error) {
+        if (!(error instanceof CliError) && !(error instanceof ShiftTrackerError))
+            throw error;
+
+        console.error(`Error: ${error.message}`);
+
+        const exitCode = getExitCode(error);
+
+        if (exitCode === EXIT.USAGE)
+            console.error(`\n${USAGE}`);
+
+        return exitCode;
+    }
+}
+
+if (require.main === module)
+    process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main, EXIT };
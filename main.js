@@ -9,41 +9,136 @@ const DAYS = {
 
 // For delivery
 const DELIVERY_CONFIG = {
-    HOURS: {
-        START: 8 * 3600,
-        END: 22 * 3600
-    },
+    // Delivery windows kept next to the shifts file; without them every day
+    // has the single default window below, for every driver
+    WINDOW_FILE: "deliveryWindows.txt",
+
+    DEFAULT_WINDOWS: [
+        { name: "Standard", days: [], windows: [{ start: 8 * 3600, end: 22 * 3600 }], drivers: [] }
+    ],
 
     DAILY_MINIMUM: {
-        NORMAL: 8 * 3600 + 24 * 60,
-        EID: 6 * 3600
+        NORMAL: 8 * 3600 + 24 * 60
     },
 
-    EID_DATE: {
-        START: new Date("2025-04-10"),
-        END: new Date("2025-04-30"),
-    }
+    // Holiday calendar kept next to the driver rates file; used instead of
+    // the default holidays below when present
+    HOLIDAY_FILE: "holidays.txt",
+
+    DEFAULT_HOLIDAYS: [
+        { name: "Eid al-Fitr", start: "2025-04-10", end: "2025-04-30", dailyMinimum: 6 * 3600, drivers: [] }
+    ]
 };
 
+// Default shifts file, as in the CLI and the server
+const SHIFTS_FILE = "shifts.txt";
+
+// Driver roster; addShiftRecord checks shifts against the one next to the
+// shifts file
+const DRIVER_RATES_FILE = "driverRates.txt";
+
+// Pay periods closed against edits, kept next to the shifts file as
+// { "yyyy-mm": { status, closedAt, closedBy, payroll, history } }; an entry
+// without a status is closed
+const CLOSED_PERIODS_FILE = "closedPeriods.json";
+
+// Who may reopen a closed pay period, one name per line, next to the
+// shifts file; without it only whoever closed the period may
+const PAYROLL_ADMINS_FILE = "payrollAdmins.txt";
+
+// Shifts clocked in but not yet out, kept next to the shifts file as
+// { driverID: { driverID, driverName, date, startTime } }
+const OPEN_SHIFTS_FILE = "openShifts.json";
+
+// Shifts longer than this are flagged: open ones as overdue, recorded
+// ones by getAnomalyReport
+const MAX_OPEN_SHIFT = "16:00:00";
+
+// Bonus rules used by runBonusRules when none are passed
+const BONUS_RULES_FILE = "bonusRules.json";
+
 // For tier-based calculations
-const ALLOWED_MISSING_HOURS = {
-    1: 50,
-    2: 20,
-    3: 10,
-    4: 3
+// Pay policy used when there is no payPolicy.json next to the rates file
+const PAY_POLICY_FILE = "payPolicy.json";
+
+const DEFAULT_PAY_POLICY = {
+    version: "default",
+    effectiveFrom: null,
+    effectiveTo: null,
+    tiers: {
+        1: { name: "Senior", allowedMissingHours: 50 },
+        2: { name: "Regular", allowedMissingHours: 20 },
+        3: { name: "Junior", allowedMissingHours: 10 },
+        4: { name: "Trainee", allowedMissingHours: 3 }
+    },
+    deductionDivisor: 185,
+    deductionRateRounding: "floor",
+    billableHoursRounding: "floor",
+    bonusCreditHours: 2,
+    // { multiplier, weekendMultiplier, holidayMultiplier, capHours, weekendDays }
+    // paid on the hourly rate basePay / deductionDivisor; null pays no overtime
+    overtime: null,
+    // Cash paid per bonus day
+    bonusPayout: 0
+};
+
+const ROUNDING = {
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    none: value => value
+};
+
+// For file locking around read-modify-write updates
+const FILE_LOCK = {
+    TIMEOUT_MS: 5000,
+    RETRY_MS: 25,
+    // A lock older than this is left over from a crashed process
+    STALE_MS: 30000
 };
 
+// Error classes
+class ShiftTrackerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+class InvalidTimeError extends ShiftTrackerError {}
+class InvalidDateError extends ShiftTrackerError {}
+class InvalidShiftError extends ShiftTrackerError {}
+class UnknownDriverError extends ShiftTrackerError {}
+class InvalidTierError extends ShiftTrackerError {}
+class InvalidDayOffError extends ShiftTrackerError {}
+class DuplicateShiftError extends ShiftTrackerError {}
+class ConflictError extends ShiftTrackerError {}
+class LockTimeoutError extends ShiftTrackerError {}
+class InvalidPolicyError extends ShiftTrackerError {}
+class InvalidRuleError extends ShiftTrackerError {}
+class InvalidDriverError extends ShiftTrackerError {}
+class DuplicateDriverError extends ShiftTrackerError {}
+class ShiftNotFoundError extends ShiftTrackerError {}
+class PeriodClosedError extends ShiftTrackerError {}
+class UnauthorisedError extends ShiftTrackerError {}
+class InvalidBonusCountError extends ShiftTrackerError {}
+
 // Helper Methods
+// Parses "h:mm:ss" durations and "hh:mm:ss am/pm" clock times
 function parseToSeconds(str) {
-    str = str.trim().toLowerCase();
+    const match = typeof str === "string"
+        && str.trim().toLowerCase().match(/^(\d+):([0-5]\d):([0-5]\d)(?:\s+(am|pm))?$/);
 
-    const parts = str.split(" ");
-    const time = parts[0];
-    const modifier = parts[1];
+    if (!match)
+        throw new InvalidTimeError(`Invalid time "${str}", expected h:mm:ss or hh:mm:ss am/pm`);
 
-    let [hours, minutes, seconds] = time.split(":").map(Number);
+    let [hours, minutes, seconds] = match.slice(1, 4).map(Number);
+    const modifier = match[4];
 
     if (modifier) {
+        if (hours < 1 || hours > 12)
+            throw new InvalidTimeError(`Invalid time "${str}", hours must be 1-12 with am/pm`);
+
         if (modifier === "pm" && hours !== 12)
             hours += 12;
 
@@ -54,6 +149,24 @@ function parseToSeconds(str) {
     return hours * 3600 + minutes * 60 + seconds;
 }
 
+// Clock times must carry am/pm; a bare "h:mm:ss" is a duration
+function parseClockTime(str) {
+    if (typeof str !== "string" || !/\s(am|pm)$/i.test(str.trim()))
+        throw new InvalidTimeError(`Invalid clock time "${str}", expected hh:mm:ss am or hh:mm:ss pm`);
+
+    return parseToSeconds(str);
+}
+
+function validateDate(dateStr) {
+    const trimmed = typeof dateStr === "string" ? dateStr.trim() : "";
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed) || isNaN(Date.parse(`${trimmed}T00:00:00Z`))
+        || new Date(`${trimmed}T00:00:00Z`).toISOString().slice(0, 10) !== trimmed)
+        throw new InvalidDateError(`Invalid date "${dateStr}", expected yyyy-mm-dd`);
+
+    return trimmed;
+}
+
 function formatToTime(seconds) {
     if (seconds < 0)
         seconds = 0;
@@ -65,403 +178,3225 @@ function formatToTime(seconds) {
     return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
 }
 
-function readLines(filePath) {
-    return fs.readFileSync(filePath, "utf8")
-        .trim()
-        .split("\n")
-        .filter(Boolean);
+// Dates are handled as whole days since the epoch (UTC) so that adding
+// seconds to them never depends on the server's timezone.
+function toDayNumber(dateStr) {
+    return Math.floor(Date.parse(`${validateDate(dateStr)}T00:00:00Z`) / (DAY_SECONDS * 1000));
 }
 
-// ============================================================
-// Function 1: getShiftDuration(startTime, endTime)
-// startTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
-// endTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
-// Returns: string formatted as h:mm:ss
-// ============================================================
-function getShiftDuration(startTime, endTime) {
-    let startSeconds = parseToSeconds(startTime);
-    let endSeconds = parseToSeconds(endTime);
+// 1970-01-01 was a Thursday
+function getWeekday(dateStr) {
+    return (toDayNumber(dateStr) + DAYS.thursday) % 7;
+}
 
-    if (endSeconds < startSeconds)
-        endSeconds += DAY_SECONDS;
+function formatDate(dayNumber) {
+    return new Date(dayNumber * DAY_SECONDS * 1000).toISOString().slice(0, 10);
+}
 
-    return formatToTime(endSeconds - startSeconds);
+// Accepts a "yyyy-mm" period, { year, month }, or a bare month ("04", "4", 4).
+// A bare month has no year and matches that month in every year.
+function parsePeriod(period) {
+    if (typeof period === "object" && period !== null)
+        return { year: period.year === null ? null : Number(period.year), month: Number(period.month) };
+
+    const match = String(period).trim().match(/^(\d{4})-(\d{1,2})$/);
+
+    const parsed = match
+        ? { year: Number(match[1]), month: Number(match[2]) }
+        : { year: null, month: /^\d{1,2}$/.test(String(period).trim()) ? Number(period) : NaN };
+
+    if (!(parsed.month >= 1 && parsed.month <= 12))
+        throw new InvalidDateError(`Invalid month "${period}", expected m, mm or yyyy-mm`);
+
+    return parsed;
 }
 
-// ============================================================
-// Function 2: getIdleTime(startTime, endTime)
-// startTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
-// endTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
-// Returns: string formatted as h:mm:ss
-// ============================================================
-function getIdleTime(startTime, endTime) {
-    let startSeconds = parseToSeconds(startTime);
-    let endSeconds = parseToSeconds(endTime);
+// Compares the yyyy-mm-dd text directly, so the result never depends on timezone
+function isInPeriod(dateStr, period) {
+    const [year, month] = dateStr.trim().split("-").map(Number);
+
+    return month === period.month && (period.year === null || year === period.year);
+}
+
+// Today on the local clock, so it falls on the same day as clock-in and clock-out
+function getToday() {
+    const now = new Date();
+    const pad = n => String(n).padStart(2, "0");
+
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// First day of a period; today for a bare month or no period at all
+function getPeriodStart(period) {
+    const parsed = period === undefined ? { year: null } : parsePeriod(period);
+
+    return parsed.year === null
+        ? getToday()
+        : `${parsed.year}-${String(parsed.month).padStart(2, "0")}-01`;
+}
+
+// Every yyyy-mm-dd date of a parsed period; a bare month has no year to list
+function getPeriodDates(period) {
+    if (period.year === null)
+        throw new InvalidDateError(`Month ${period.month} has no year, expected a yyyy-mm period`);
+
+    const first = Date.UTC(period.year, period.month - 1, 1) / (DAY_SECONDS * 1000);
+    const next = Date.UTC(period.year, period.month, 1) / (DAY_SECONDS * 1000);
+
+    const dates = [];
+    for (let day = first; day < next; day++)
+        dates.push(formatDate(day));
+
+    return dates;
+}
+
+// Splits "yyyy-mm-dd h:mm:ss am" into its date and time; plain times have no date
+function splitTimestamp(str) {
+    if (typeof str !== "string")
+        throw new InvalidTimeError(`Invalid time "${str}", expected hh:mm:ss am or hh:mm:ss pm`);
+
+    const match = str.trim().match(/^(\d{4}-\d{2}-\d{2})\s+(.+)$/);
+
+    if (!match)
+        return { date: null, time: str.trim() };
+
+    return { date: match[1], time: match[2] };
+}
+
+// Resolves a shift to absolute start/end seconds. An end time without a
+// date that is earlier than the start is taken to be on the following day.
+function getShiftInterval(startTime, endTime, date) {
+    const start = splitTimestamp(startTime);
+    const end = splitTimestamp(endTime);
+
+    const startDay = start.date ? toDayNumber(start.date) : (date ? toDayNumber(date) : 0);
+    const startSeconds = startDay * DAY_SECONDS + parseClockTime(start.time);
+
+    if (end.date)
+        return { start: startSeconds, end: toDayNumber(end.date) * DAY_SECONDS + parseClockTime(end.time) };
+
+    let endSeconds = startDay * DAY_SECONDS + parseClockTime(end.time);
 
     if (endSeconds < startSeconds)
         endSeconds += DAY_SECONDS;
 
-    let [idleTime, currentTime] = [0, startSeconds];
-    while (currentTime < endSeconds) {
+    return { start: startSeconds, end: endSeconds };
+}
+
+// Breaks an interval into one segment per calendar day it touches. Time
+// outside the delivery windows getWindows(date) returns for a day is idle;
+// breaks (absolute intervals) inside the windows are not active either.
+function getDaySegments(interval, getWindows = () => DELIVERY_CONFIG.DEFAULT_WINDOWS[0].windows, breaks = []) {
+    const segments = [];
+    const overlap = (start, end, other) => Math.max(0, Math.min(end, other.end) - Math.max(start, other.start));
+
+    let currentTime = interval.start;
+    while (currentTime < interval.end) {
         let currentDayStart = Math.floor(currentTime / DAY_SECONDS) * DAY_SECONDS;
         let currentDayEnd = currentDayStart + DAY_SECONDS;
 
-        let segmentEnd = Math.min(endSeconds, currentDayEnd);
+        let segmentEnd = Math.min(interval.end, currentDayEnd);
+
+        const date = formatDate(currentDayStart / DAY_SECONDS);
 
-        let deliveryStart = currentDayStart + DELIVERY_CONFIG.HOURS.START;
-        let deliveryEnd = currentDayStart + DELIVERY_CONFIG.HOURS.END;
+        let windowSeconds = 0;
+        let breakSeconds = 0;
 
-        if (currentTime < deliveryStart)
-            idleTime += Math.max(0, Math.min(segmentEnd, deliveryStart) - currentTime);
+        for (const window of getWindows(date)) {
+            const start = Math.max(currentTime, currentDayStart + window.start);
+            const end = Math.min(segmentEnd, currentDayStart + window.end);
 
-        if (segmentEnd > deliveryEnd)
-            idleTime += Math.max(0, segmentEnd - Math.max(currentTime, deliveryEnd));
+            if (end <= start) continue;
+
+            windowSeconds += end - start;
+            breakSeconds += breaks.reduce((total, pause) => total + overlap(start, end, pause), 0);
+        }
+
+        segments.push({
+            date,
+            shiftSeconds: segmentEnd - currentTime,
+            idleSeconds: segmentEnd - currentTime - windowSeconds,
+            breakSeconds,
+            activeSeconds: windowSeconds - breakSeconds
+        });
 
         currentTime = segmentEnd;
     }
 
-    return formatToTime(idleTime)
+    return segments;
 }
 
-// ============================================================
-// Function 3: getActiveTime(shiftDuration, idleTime)
-// shiftDuration: (typeof string) formatted as h:mm:ss
-// idleTime: (typeof string) formatted as h:mm:ss
-// Returns: string formatted as h:mm:ss
-// ============================================================
-function getActiveTime(shiftDuration, idleTime) {
-    return formatToTime(parseToSeconds(shiftDuration) - parseToSeconds(idleTime));
+// Resolves breaks to absolute intervals within a shift. A break time
+// without a date that falls before the shift start is on the next day.
+// Throws InvalidShiftError for breaks outside the shift or overlapping.
+function getBreakIntervals(breaks, interval, date) {
+    if (!Array.isArray(breaks))
+        throw new InvalidShiftError("Breaks must be a list of { start, end }");
+
+    const intervals = breaks.map(pause => {
+        if (!pause || pause.start === undefined || pause.end === undefined)
+            throw new InvalidShiftError("Each break needs a start and an end");
+
+        const resolved = getShiftInterval(pause.start, pause.end, date);
+
+        if (!splitTimestamp(pause.start).date && resolved.start < interval.start) {
+            resolved.start += DAY_SECONDS;
+            resolved.end += DAY_SECONDS;
+        }
+
+        if (resolved.end <= resolved.start || resolved.start < interval.start || resolved.end > interval.end)
+            throw new InvalidShiftError(`Break ${pause.start} - ${pause.end} is outside the shift`);
+
+        return { ...resolved, source: pause };
+    }).sort((a, b) => a.start - b.start);
+
+    for (let i = 1; i < intervals.length; i++) {
+        if (intervals[i].start < intervals[i - 1].end)
+            throw new InvalidShiftError(`Breaks on ${date} overlap`);
+    }
+
+    return intervals;
 }
 
-// ============================================================
-// Function 4: metQuota(date, activeTime)
-// date: (typeof string) formatted as yyyy-mm-dd
-// activeTime: (typeof string) formatted as h:mm:ss
-// Returns: boolean
-// ============================================================
-function metQuota(date, activeTime) {
-    const currentDate = new Date(date);
+// Active seconds of a stored record per calendar day. Single-day records
+// keep their stored ActiveTime; multi-day records are split by day using
+// the driver's delivery windows and the record's breaks.
+function getRecordActiveByDate(record, windowRows = DELIVERY_CONFIG.DEFAULT_WINDOWS) {
+    const interval = getShiftInterval(record.startTime, record.endTime, record.date);
+
+    if (Math.floor((interval.end - 1) / DAY_SECONDS) <= Math.floor(interval.start / DAY_SECONDS))
+        return [{ date: record.date, activeSeconds: parseToSeconds(record.activeTime) }];
 
-    const isEid = currentDate >= DELIVERY_CONFIG.EID_DATE.START
-        && currentDate <= DELIVERY_CONFIG.EID_DATE.END;
+    const breaks = getBreakIntervals(record.breaks || [], interval, record.date);
 
-    return parseToSeconds(activeTime) >= (isEid ? DELIVERY_CONFIG.DAILY_MINIMUM.EID : DELIVERY_CONFIG.DAILY_MINIMUM.NORMAL);
+    return getDaySegments(interval, getWindowLookup(windowRows, record.driverID), breaks)
+        .filter((segment, i) => i === 0 || segment.activeSeconds > 0)
+        .map(segment => ({ date: segment.date, activeSeconds: segment.activeSeconds }));
 }
 
-// ============================================================
-// Function 5: addShiftRecord(textFile, shiftObj)
-// textFile: (typeof string) path to shifts text file
-// shiftObj: (typeof object) has driverID, driverName, date, startTime, endTime
-// Returns: object with 10 properties or empty object {}
-// ============================================================
-function addShiftRecord(textFile, shiftObj) {
-    if (!fs.existsSync(textFile))
-        fs.writeFileSync(textFile, "");
+// Safe file writes
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
 
-    const records = readLines(textFile).map(line => {
-        const parts = line.split(",");
-        return {
-            driverID: parts[0],
-            driverName: parts[1],
-            date: parts[2],
-            startTime: parts[3],
-            endTime: parts[4],
-            shiftDuration: parts[5],
-            idleTime: parts[6],
-            activeTime: parts[7],
-            metQuota: Boolean(parts[8]),
-            hasBonus: Boolean(parts[9])
-        };
-    });
+// Changes on every write: an atomic rename gives the file a new inode
+function getFileVersion(filePath) {
+    const stat = fs.statSync(filePath, { throwIfNoEntry: false });
 
-    const duplicate = records.some(r =>
-        r.driverID === shiftObj.driverID &&
-        r.date === shiftObj.date
-    );
+    return stat ? `${stat.ino}:${stat.mtimeMs}:${stat.size}` : null;
+}
 
-    if (duplicate) return {};
+// Parsed config files (delivery windows, holidays, pay policies), kept
+// until the file changes on disk
+const parsedFiles = new Map();
 
-    const shiftDuration = getShiftDuration(shiftObj.startTime, shiftObj.endTime);
-    const idleTime = getIdleTime(shiftObj.startTime, shiftObj.endTime);
-    const activeTime = getActiveTime(shiftDuration, idleTime);
-    const metQuotaFlag = metQuota(shiftObj.date, activeTime);
+function readParsedFile(filePath, parse) {
+    const version = getFileVersion(filePath);
+    const cached = parsedFiles.get(filePath);
 
-    const newRecord = {
-        driverID: shiftObj.driverID,
-        driverName: shiftObj.driverName,
-        date: shiftObj.date,
-        startTime: shiftObj.startTime,
-        endTime: shiftObj.endTime,
-        shiftDuration,
-        idleTime,
-        activeTime,
-        metQuota: metQuotaFlag,
-        hasBonus: false
-    };
+    if (cached && cached.version === version && cached.parse === parse)
+        return cached.value;
 
-    // Find the index after the last record of the same driverID
-    let insertIndex = -1;
-    for (let i = 0; i < records.length; i++) {
-        if (records[i].driverID === shiftObj.driverID)
-            insertIndex = i;
-    }
+    const value = parse(filePath);
+    parsedFiles.set(filePath, { version, parse, value });
 
-    if (insertIndex === -1)
-        records.push(newRecord);
-    else
-        records.splice(insertIndex + 1, 0, newRecord);
+    return value;
+}
 
-    const fileContent = records.map(r =>
-        `${r.driverID},${r.driverName},${r.date},${r.startTime},${r.endTime},${r.shiftDuration},${r.idleTime},${r.activeTime},${r.metQuota},${r.hasBonus}`
-    ).join("\n");
+function checkFileVersion(filePath, expectedVersion) {
+    if (expectedVersion !== undefined && getFileVersion(filePath) !== expectedVersion)
+        throw new ConflictError(`${filePath} was changed by someone else since it was read`);
+}
 
-    fs.writeFileSync(textFile, fileContent);
+// Writes to a temp file and renames it into place, so readers and crashes
+// never see a half-written file
+function writeFileAtomic(filePath, content) {
+    const tempFile = `${filePath}.${process.pid}.tmp`;
 
-    return newRecord;
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, filePath);
 }
 
-// ============================================================
-// Function 6: setBonus(textFile, driverID, date, newValue)
-// textFile: (typeof string) path to shifts text file
-// driverID: (typeof string)
-// date: (typeof string) formatted as yyyy-mm-dd
-// newValue: (typeof boolean)
-// Returns: nothing (void)
-// ============================================================
-function setBonus(textFile, driverID, date, newValue) {
-    if (!fs.existsSync(textFile)) return;
+// Runs fn while holding filePath.lock, waiting up to FILE_LOCK.TIMEOUT_MS for it
+function withFileLock(filePath, fn) {
+    const lockFile = `${filePath}.lock`;
+    const deadline = Date.now() + FILE_LOCK.TIMEOUT_MS;
 
-    const lines = readLines(textFile);
+    for (;;) {
+        try {
+            fs.closeSync(fs.openSync(lockFile, "wx"));
+            break;
+        } catch (error) {
+            if (error.code !== "EEXIST") throw error;
+        }
+
+        try {
+            if (Date.now() - fs.statSync(lockFile).mtimeMs > FILE_LOCK.STALE_MS) {
+                fs.unlinkSync(lockFile);
+                continue;
+            }
+        } catch (error) {
+            // The holder released the lock in the meantime
+            if (error.code !== "ENOENT") throw error;
+            continue;
+        }
 
-    let updated = false;
+        if (Date.now() >= deadline)
+            throw new LockTimeoutError(`Timed out waiting for lock on ${filePath}`);
 
-    const updatedLines = lines.map(line => {
-        const parts = line.split(",");
+        sleep(FILE_LOCK.RETRY_MS);
+    }
 
-        if (parts.length < 10) return line;
+    try {
+        return fn();
+    } finally {
+        fs.unlinkSync(lockFile);
+    }
+}
 
-        const recordDriverID = parts[0];
-        const recordDate = parts[2];
+// CSV helpers (RFC 4180): quoted fields may hold commas, doubled quotes
+// and line breaks; \n and \r\n line endings are both accepted
+function parseCsv(text) {
+    // Blank lines carry no data
+    const hasData = row => row.length > 1 || row[0].trim() !== "";
+
+    // Without quotes every line is a row of plain fields
+    if (!text.includes('"'))
+        return text.split(/\r\n|\n|\r/).map(line => line.split(",")).filter(hasData);
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
 
-        if (recordDriverID === driverID && recordDate === date) {
-            parts[9] = newValue.toString();
-            updated = true;
+            continue;
         }
 
-        return parts.join(",");
-    });
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+
+            row.push(field);
+            rows.push(row);
+            [row, field] = [[], ""];
+        } else {
+            field += char;
+        }
+    }
 
-    if (updated)
-        fs.writeFileSync(textFile, updatedLines.join("\n"));
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(hasData);
 }
 
-// ============================================================
-// Function 7: countBonusPerMonth(textFile, driverID, month)
-// textFile: (typeof string) path to shifts text file
-// driverID: (typeof string)
-// month: (typeof string) formatted as mm or m
-// Returns: number (-1 if driverID not found)
-// ============================================================
-function countBonusPerMonth(textFile, driverID, month) {
-    if (!fs.existsSync(textFile)) return -1;
+function formatCsvField(value) {
+    const str = String(value);
+
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function readCsv(filePath) {
+    return parseCsv(fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, ""));
+}
+
+// Drops the header row if the file has one
+function readCsvRows(filePath, firstColumn) {
+    const rows = readCsv(filePath);
+
+    if (rows.length > 0 && rows[0][0].trim() === firstColumn)
+        rows.shift();
+
+    return rows.map(row => row.map(field => field.trim()));
+}
 
-    const lines = readLines(textFile);
+function writeCsvRecords(filePath, columns, records) {
+    const rows = [
+        columns.map(([column]) => column),
+        ...records.map(record => columns.map(([, key]) => record[key]))
+    ];
 
-    let driverExists = false;
-    let bonusCount = 0;
+    writeFileAtomic(filePath, rows.map(row => row.map(formatCsvField).join(",")).join("\n"));
+}
 
-    const targetMonth = Number(month);
+function parseBoolean(value) {
+    return String(value).trim().toLowerCase() === "true";
+}
 
-    for (const line of lines) {
-        const parts = line.trim().split(",");
+const SHIFT_COLUMNS = [
+    ["DriverID", "driverID"],
+    ["DriverName", "driverName"],
+    ["Date", "date"],
+    ["StartTime", "startTime"],
+    ["EndTime", "endTime"],
+    ["ShiftDuration", "shiftDuration"],
+    ["IdleTime", "idleTime"],
+    ["ActiveTime", "activeTime"],
+    ["MetQuota", "metQuota"],
+    ["HasBonus", "hasBonus"]
+];
+
+// Optional last column, written only when some shift has breaks. Breaks
+// are "start - end" pairs separated by ";"; a record without breaks has no
+// breaks property.
+const BREAKS_COLUMN = ["Breaks", "breaks"];
+
+function parseBreaks(str) {
+    return str.split(";").map(part => {
+        const [start, end] = part.split(" - ").map(time => time && time.trim());
+
+        if (!start || !end)
+            throw new InvalidTimeError(`Invalid break "${part.trim()}", expected start - end`);
+
+        return { start, end };
+    });
+}
 
-        if (parts.length < 10) continue;
+function formatBreaks(breaks) {
+    return breaks.map(({ start, end }) => `${start} - ${end}`).join("; ");
+}
 
-        const recordDriverID = parts[0];
-        const recordDate = parts[2];
-        const hasBonus = parts[9] === "true";
+function readShiftRecords(textFile) {
+    return readCsvRows(textFile, SHIFT_COLUMNS[0][0])
+        .filter(row => row.length >= SHIFT_COLUMNS.length)
+        .map(row => {
+            const record = {};
+            SHIFT_COLUMNS.forEach(([, key], i) => record[key] = row[i]);
 
-        if (recordDriverID !== driverID) continue;
+            record.metQuota = parseBoolean(record.metQuota);
+            record.hasBonus = parseBoolean(record.hasBonus);
 
-        driverExists = true;
+            if (row[SHIFT_COLUMNS.length])
+                record.breaks = parseBreaks(row[SHIFT_COLUMNS.length]);
 
-        const recordMonth = new Date(recordDate).getMonth() + 1;
+            return record;
+        });
+}
 
-        if (recordMonth === targetMonth && hasBonus)
-            bonusCount++;
+function writeShiftRecords(textFile, records) {
+    if (!records.some(record => record.breaks)) {
+        writeCsvRecords(textFile, SHIFT_COLUMNS, records);
+        return;
     }
 
-    return driverExists ? bonusCount : -1;
+    writeCsvRecords(textFile, [...SHIFT_COLUMNS, BREAKS_COLUMN], records.map(record =>
+        ({ ...record, breaks: record.breaks ? formatBreaks(record.breaks) : "" })));
+}
+
+// Audit log helpers
+// Every change to a shifts file is appended to <file name>.audit.jsonl next
+// to it (shifts.txt.audit.jsonl), so shifts.txt and shifts.jsonl in one
+// directory keep separate logs. Entries are
+// { timestamp, actor, operation, driverID, date, before, after }
+const DEFAULT_ACTOR = process.env.USER || "system";
+
+function getAuditFile(textFile) {
+    const filePath = typeof textFile === "string" ? textFile : textFile.filePath;
+
+    return `${filePath}.audit.jsonl`;
+}
+
+function appendAudit(filePath, actor, changes) {
+    const timestamp = new Date().toISOString();
+
+    const lines = changes.map(change => JSON.stringify({
+        timestamp,
+        actor: actor || DEFAULT_ACTOR,
+        operation: change.operation,
+        driverID: (change.after || change.before).driverID,
+        date: (change.after || change.before).date,
+        before: change.before,
+        after: change.after
+    }) + "\n");
+
+    fs.appendFileSync(getAuditFile(filePath), lines.join(""));
+}
+
+function readAudit(textFile) {
+    const auditFile = getAuditFile(textFile);
+
+    if (!fs.existsSync(auditFile)) return [];
+
+    return fs.readFileSync(auditFile, "utf8")
+        .split("\n")
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
 }
 
 // ============================================================
-// Function 8: getTotalActiveHoursPerMonth(textFile, driverID, month)
-// textFile: (typeof string) path to shifts text file
-// driverID: (typeof string)
-// month: (typeof number)
-// Returns: string formatted as hhh:mm:ss
+// Storage
+// Every function that takes a shifts or rates file also accepts a store
+// object. Paths ending in .jsonl use the JSON-lines stores, any other
+// path the CSV text format.
+//   Shift store: exists(), version(), all(),
+//                query({ driverID, period, spanning }),
+//                insert(record, { expectedVersion, actor }),
+//                update(driverID, date, changes, { expectedVersion, actor })
+// Writes hold a lock on the file, throw ConflictError when
+// expectedVersion is given and the file has changed since then, and
+// append each change to the audit log while still holding the lock.
+//   Rate store:  exists(), all(), query({ driverID }), find(driverID, date)
+// Stores for a path are shared, and keep the file loaded and indexed until
+// it changes on disk; records they return must not be modified.
 // ============================================================
-function getTotalActiveHoursPerMonth(textFile, driverID, month) {
-    if (!fs.existsSync(textFile))
-        return formatToTime(0);
+function shiftKey(record) {
+    return `${record.driverID}|${record.date}|${record.startTime}`;
+}
 
-    const lines = readLines(textFile);
+// Keeps records grouped by driver: new records go after the driver's last
+// record, or at the end for a new driver. One pass for any number of them.
+function insertGrouped(records, newRecords) {
+    const pending = new Map();
+    for (const record of newRecords) {
+        if (!pending.has(record.driverID)) pending.set(record.driverID, []);
+        pending.get(record.driverID).push(record);
+    }
 
-    let totalSeconds = 0;
+    const lastIndex = new Map();
+    records.forEach((record, i) => lastIndex.set(record.driverID, i));
 
-    for (const line of lines) {
-        const parts = line.split(",");
+    const merged = [];
+    records.forEach((record, i) => {
+        merged.push(record);
 
-        if (parts.length < 10) continue;
+        if (lastIndex.get(record.driverID) === i && pending.has(record.driverID)) {
+            merged.push(...pending.get(record.driverID));
+            pending.delete(record.driverID);
+        }
+    });
 
-        const recordDriverID = parts[0];
-        const recordDate = parts[2];
-        const activeTime = parts[7];
+    for (const group of pending.values())
+        merged.push(...group);
 
-        if (recordDriverID !== driverID) continue;
+    return merged;
+}
 
-        const recordMonth = new Date(recordDate).getMonth() + 1;
+// spanning: also keep shifts dated before the period that may run into it;
+// callers still check each day of such a shift against the period
+function filterShiftRecords(records, { driverID, period, spanning = false } = {}) {
+    const targetPeriod = period === undefined ? null : parsePeriod(period);
 
-        if (recordMonth === month)
-            totalSeconds += parseToSeconds(activeTime);
-    }
+    const inPeriod = record => isInPeriod(record.date, targetPeriod)
+        || (spanning && getRecordMonths(record).some(month => isInPeriod(`${month}-01`, targetPeriod)));
 
-    return formatToTime(totalSeconds);
+    return records.filter(record =>
+        (driverID === undefined || record.driverID === driverID)
+        && (targetPeriod === null || inPeriod(record)));
 }
 
-// ============================================================
-// Function 9: getRequiredHoursPerMonth(textFile, rateFile, bonusCount, driverID, month)
-// textFile: (typeof string) path to shifts text file
-// rateFile: (typeof string) path to driver rates text file
-// bonusCount: (typeof number) total bonuses for given driver per month
-// driverID: (typeof string)
-// month: (typeof number)
-// Returns: string formatted as hhh:mm:ss
-// ============================================================
+function getNextMonth(month) {
+    const [year, number] = month.split("-").map(Number);
 
-// Helpers
-function getDayOff(rateFile, driverID) {
-    let dayOffStr = "";
-    const rateLines = readLines(rateFile);
-    for (const line of rateLines) {
-        const parts = line.split(",");
-        if (parts[0] === driverID) {
-            dayOffStr = parts[1].trim().toLowerCase();
-            break;
+    return number >= 12 ? `${year + 1}-01` : `${year}-${String(number + 1).padStart(2, "0")}`;
+}
+
+// The yyyy-mm months a shift may have time in, from its own to the one its
+// end date falls in. A bare end time before the start ends the next day,
+// so from the 28th on that can be the next month too.
+function getRecordMonths(record) {
+    const first = record.date.slice(0, 7);
+    const endDate = splitTimestamp(record.endTime).date;
+
+    const last = endDate
+        ? endDate.slice(0, 7)
+        : Number(record.date.slice(8, 10)) >= 28 ? getNextMonth(first) : first;
+
+    const months = [first];
+    while (/^\d{4}-\d{2}$/.test(first) && months[months.length - 1] < last)
+        months.push(getNextMonth(months[months.length - 1]));
+
+    return months;
+}
+
+// The records of a shifts file, indexed by driver and by driver and month
+class ShiftDataset {
+    constructor(records) {
+        this.records = records;
+        this.byDriver = new Map();
+        this.byDriverMonth = new Map();
+
+        for (const record of records) {
+            if (!this.byDriver.has(record.driverID)) {
+                this.byDriver.set(record.driverID, []);
+                this.byDriverMonth.set(record.driverID, new Map());
+            }
+
+            this.byDriver.get(record.driverID).push(record);
+
+            const months = this.byDriverMonth.get(record.driverID);
+            for (const month of getRecordMonths(record)) {
+                if (!months.has(month)) months.set(month, []);
+                months.get(month).push(record);
+            }
         }
     }
 
-    return dayOffStr;
+    // A driver's yyyy-mm period is answered from the month index, a driver
+    // alone from the driver index; always returns a new array
+    query(filter = {}) {
+        if (filter.driverID === undefined)
+            return filterShiftRecords(this.records, filter);
+
+        const period = filter.period === undefined ? null : parsePeriod(filter.period);
+
+        if (period === null || period.year === null)
+            return filterShiftRecords(this.byDriver.get(filter.driverID) || [], filter);
+
+        const months = this.byDriverMonth.get(filter.driverID);
+        return filterShiftRecords((months && months.get(getPeriodStart(period).slice(0, 7))) || [], filter);
+    }
 }
 
-function getUniqueDates(textFile, targetMonth, driverID) {
-    const shiftLines = readLines(textFile);
-    const uniqueDates = new Set();
+// The file is read and indexed once, then again only when it has changed on
+// disk (see getFileVersion)
+class TextShiftStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.loadedVersion = null;
+        this.dataset = new ShiftDataset([]);
+    }
 
-    for (const line of shiftLines) {
-        const parts = line.split(",");
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    version() {
+        return getFileVersion(this.filePath);
+    }
 
-        if (parts.length < 10) continue;
+    load() {
+        const version = getFileVersion(this.filePath);
 
-        const recordDriverID = parts[0];
-        const recordDate = parts[2];
+        if (version === this.loadedVersion) return this.dataset;
 
-        if (recordDriverID !== driverID) continue;
+        this.dataset = new ShiftDataset(version === null ? [] : readShiftRecords(this.filePath));
+        this.loadedVersion = version;
 
-        const dateObj = new Date(recordDate);
-        if (dateObj.getUTCMonth() + 1 === targetMonth)
-            uniqueDates.add(recordDate);
+        return this.dataset;
     }
 
-    return uniqueDates;
-}
+    // Must be called with the lock held
+    write(records) {
+        writeShiftRecords(this.filePath, records);
 
-function getTotalRequiredSeconds(uniqueDates, dayOffNum) {
-    let totalRequiredSeconds = 0;
+        // Our own write does not need a re-read
+        this.dataset = new ShiftDataset(records);
+        this.loadedVersion = getFileVersion(this.filePath);
+    }
 
-    for (const dateStr of uniqueDates) {
-        const d = new Date(dateStr);
+    all() {
+        return [...this.load().records];
+    }
 
-        if (d.getUTCDay() === dayOffNum) continue;
+    query(filter) {
+        return this.load().query(filter);
+    }
 
-        const isEid = d >= DELIVERY_CONFIG.EID_DATE.START && d <= DELIVERY_CONFIG.EID_DATE.END;
+    insert(record, options) {
+        this.insertMany([record], options);
+    }
 
-        if (isEid) {
-            totalRequiredSeconds += DELIVERY_CONFIG.DAILY_MINIMUM.EID;
-            continue;
-        }
+    // One rewrite for any number of records
+    insertMany(newRecords, { expectedVersion, actor } = {}) {
+        withFileLock(this.filePath, () => {
+            checkFileVersion(this.filePath, expectedVersion);
 
-        totalRequiredSeconds += DELIVERY_CONFIG.DAILY_MINIMUM.NORMAL;
+            this.write(insertGrouped(this.all(), newRecords));
+            appendAudit(this.filePath, actor, newRecords.map(record => ({ operation: "insert", before: null, after: record })));
+        });
     }
 
-    return totalRequiredSeconds;
-}
+    // Swaps the record with before's key for after, in place so the file
+    // stays grouped by driver; after null deletes it. Returns the change,
+    // or null if there is no such record.
+    replace(before, after, { expectedVersion, actor } = {}) {
+        return withFileLock(this.filePath, () => {
+            checkFileVersion(this.filePath, expectedVersion);
 
-function getRequiredHoursPerMonth(textFile, rateFile, bonusCount, driverID, month) {
-    if (!fs.existsSync(textFile) || !fs.existsSync(rateFile)) return formatToTime(0);
+            const records = this.all();
+            const index = records.findIndex(record => shiftKey(record) === shiftKey(before));
 
-    let dayOffStr = getDayOff(rateFile, driverID)
+            if (index === -1) return null;
 
-    const dayOffNum = DAYS[dayOffStr] !== undefined ? DAYS[dayOffStr] : -1
+            const change = { operation: after ? "update" : "delete", before: records[index], after };
 
-    const uniqueDates = getUniqueDates(textFile, Number(month), driverID)
+            if (after)
+                records.splice(index, 1, after);
+            else
+                records.splice(index, 1);
 
-    let totalRequiredSeconds = getTotalRequiredSeconds(uniqueDates, dayOffNum);
+            this.write(records);
+            appendAudit(this.filePath, actor, [change]);
 
-    let validBonus = Number(bonusCount);
-    if (isNaN(validBonus)) validBonus = 0;
+            return change;
+        });
+    }
 
-    totalRequiredSeconds -= (validBonus * 2 * 3600);
+    // Returns the changed records as { before, after } pairs
+    update(driverID, date, changes, { expectedVersion, actor } = {}) {
+        return withFileLock(this.filePath, () => {
+            checkFileVersion(this.filePath, expectedVersion);
 
-    if (totalRequiredSeconds < 0)
-        totalRequiredSeconds = 0;
+            const records = this.all();
 
-    return formatToTime(totalRequiredSeconds);
-}
+            // The loaded records are shared with earlier queries, so changed
+            // ones are replaced rather than modified
+            const changed = [];
+            records.forEach((record, i) => {
+                if (record.driverID !== driverID || record.date !== date) return;
 
-// ============================================================
-// Function 10: getNetPay(driverID, actualHours, requiredHours, rateFile)
-// driverID: (typeof string)
-// actualHours: (typeof string) formatted as hhh:mm:ss
-// requiredHours: (typeof string) formatted as hhh:mm:ss
-// rateFile: (typeof string) path to driver rates text file
-// Returns: integer (net pay)
-// ============================================================
-function getNetPay(driverID, actualHours, requiredHours, rateFile) {
-    if (!fs.existsSync(rateFile))
-        return 0;
+                records[i] = { ...record, ...changes };
+                changed.push({ operation: "update", before: record, after: records[i] });
+            });
 
-    const rateLines = readLines(rateFile);
+            if (changed.length > 0) {
+                this.write(records);
+                appendAudit(this.filePath, actor, changed);
+            }
 
-    let basePay = 0;
-    let tier = 0;
+            return changed;
+        });
+    }
+}
 
-    for (const line of rateLines) {
-        const parts = line.split(",");
-        if (parts[0] !== driverID) continue;
+// Append-only log of JSON records, one per line. An update appends the new
+// version of the record and the last line for a key wins, so no write ever
+// rewrites the file. The index is rebuilt when the file changes on disk.
+class JsonLinesShiftStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.loadedVersion = null;
+        this.records = new Map();
+        this.byDriver = new Map();
+    }
 
-        basePay = Number(parts[2]);
-        tier = Number(parts[3]);
-        break;
+    exists() {
+        return fs.existsSync(this.filePath);
     }
 
-    const actualSeconds = parseToSeconds(actualHours);
-    const requiredSeconds = parseToSeconds(requiredHours);
+    load() {
+        if (!this.exists()) {
+            [this.loadedVersion, this.records, this.byDriver] = [null, new Map(), new Map()];
+            return;
+        }
 
-    if (actualSeconds >= requiredSeconds) return basePay;
+        const version = getFileVersion(this.filePath);
 
-    const missingSeconds = requiredSeconds - actualSeconds;
-    const missingHours = missingSeconds / 3600;
+        if (version === this.loadedVersion) return;
+
+        this.records = new Map();
+        this.byDriver = new Map();
+
+        for (const line of fs.readFileSync(this.filePath, "utf8").split("\n")) {
+            if (line.trim()) this.index(JSON.parse(line));
+        }
 
-    const allowed = ALLOWED_MISSING_HOURS[tier] || 0;
+        this.loadedVersion = version;
+    }
 
-    const billableMissingHours = Math.floor(Math.max(0, missingHours - allowed));
+    // A { driverID, date, startTime, deleted: true } line removes the record
+    index(record) {
+        const key = shiftKey(record);
 
-    const deductionRatePerHour = Math.floor(basePay / 185);
-    const salaryDeduction = billableMissingHours * deductionRatePerHour;
+        if (record.deleted) {
+            this.records.delete(key);
+            if (this.byDriver.has(record.driverID)) this.byDriver.get(record.driverID).delete(key);
+            return;
+        }
 
-    return basePay - salaryDeduction;
-}
+        this.records.set(key, record);
+
+        if (!this.byDriver.has(record.driverID))
+            this.byDriver.set(record.driverID, new Set());
+
+        this.byDriver.get(record.driverID).add(key);
+    }
+
+    // Must be called with the lock held and the index loaded
+    append(records) {
+        fs.appendFileSync(this.filePath, records.map(record => JSON.stringify(record) + "\n").join(""));
+
+        // Our own write does not invalidate the index
+        this.loadedVersion = getFileVersion(this.filePath);
+
+        records.forEach(record => this.index(record));
+    }
+
+    version() {
+        return getFileVersion(this.filePath);
+    }
+
+    all() {
+        this.load();
+        return [...this.records.values()];
+    }
+
+    query(filter = {}) {
+        this.load();
+
+        if (filter.driverID === undefined)
+            return filterShiftRecords([...this.records.values()], filter);
+
+        const keys = this.byDriver.get(filter.driverID) || new Set();
+        return filterShiftRecords([...keys].map(key => this.records.get(key)), filter);
+    }
+
+    insert(record, options) {
+        this.insertMany([record], options);
+    }
+
+    insertMany(records, { expectedVersion, actor } = {}) {
+        withFileLock(this.filePath, () => {
+            checkFileVersion(this.filePath, expectedVersion);
+
+            this.load();
+            this.append(records);
+            appendAudit(this.filePath, actor, records.map(record => ({ operation: "insert", before: null, after: record })));
+        });
+    }
+
+    replace(before, after, { expectedVersion, actor } = {}) {
+        return withFileLock(this.filePath, () => {
+            checkFileVersion(this.filePath, expectedVersion);
+
+            this.load();
+
+            const current = this.records.get(shiftKey(before));
+            if (!current) return null;
+
+            const lines = [];
+            if (!after || shiftKey(after) !== shiftKey(current))
+                lines.push({ driverID: current.driverID, date: current.date, startTime: current.startTime, deleted: true });
+            if (after)
+                lines.push(after);
+
+            const change = { operation: after ? "update" : "delete", before: current, after };
+
+            this.append(lines);
+            appendAudit(this.filePath, actor, [change]);
+
+            return change;
+        });
+    }
+
+    update(driverID, date, changes, { expectedVersion, actor } = {}) {
+        return withFileLock(this.filePath, () => {
+            checkFileVersion(this.filePath, expectedVersion);
+
+            const changed = this.query({ driverID })
+                .filter(record => record.date === date)
+                .map(record => ({ operation: "update", before: record, after: { ...record, ...changes } }));
+
+            if (changed.length > 0) {
+                this.append(changed.map(change => change.after));
+                appendAudit(this.filePath, actor, changed);
+            }
+
+            return changed;
+        });
+    }
+
+    // Rewrites the log with only the latest version of each record
+    compact() {
+        withFileLock(this.filePath, () => {
+            const records = this.all();
+
+            writeFileAtomic(this.filePath, records.map(record => JSON.stringify(record) + "\n").join(""));
+            this.loadedVersion = null;
+        });
+    }
+}
+
+// Each row is one version of a driver's roster entry, in force from
+// EffectiveFrom (empty: from the start) until the driver's next version.
+// Status is active (or empty) or inactive.
+const RATE_COLUMNS = [
+    ["DriverID", "driverID"],
+    ["DayOff", "dayOff"],
+    ["BasePay", "basePay"],
+    ["Tier", "tier"],
+    ["DriverName", "driverName"],
+    ["EffectiveFrom", "effectiveFrom"],
+    ["Status", "status"]
+];
+
+function groupByDriver(items) {
+    const byDriver = new Map();
+
+    for (const item of items) {
+        if (!byDriver.has(item.driverID)) byDriver.set(item.driverID, []);
+        byDriver.get(item.driverID).push(item);
+    }
+
+    return byDriver;
+}
+
+// Both rate stores keep the file's rows grouped by driver until it changes
+// on disk
+class TextRateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.loadedVersion = null;
+        this.byDriver = new Map();
+        this.rates = [];
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        const version = getFileVersion(this.filePath);
+
+        if (version === this.loadedVersion) return;
+
+        this.rates = version === null ? [] : readCsvRows(this.filePath, RATE_COLUMNS[0][0])
+            .filter(parts => parts.length >= 4)
+            .map(parts => {
+                const rate = {};
+                RATE_COLUMNS.forEach(([, key], i) => rate[key] = parts[i] || "");
+
+                return rate;
+            });
+
+        this.byDriver = groupByDriver(this.rates);
+        this.loadedVersion = version;
+    }
+
+    all() {
+        this.load();
+        return [...this.rates];
+    }
+
+    query({ driverID } = {}) {
+        this.load();
+        return driverID === undefined ? [...this.rates] : [...(this.byDriver.get(driverID) || [])];
+    }
+
+    find(driverID, date) {
+        return getRateVersion(this.query({ driverID }), driverID, date);
+    }
+
+    insert(rate) {
+        withFileLock(this.filePath, () => {
+            writeCsvRecords(this.filePath, RATE_COLUMNS, [...this.all(), rate]);
+        });
+    }
+}
+
+class JsonLinesRateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.loadedVersion = null;
+        this.byDriver = new Map();
+        this.rates = [];
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        const version = getFileVersion(this.filePath);
+
+        if (version === this.loadedVersion) return;
+
+        this.rates = version === null ? [] : fs.readFileSync(this.filePath, "utf8")
+            .split("\n")
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+
+        this.byDriver = groupByDriver(this.rates);
+        this.loadedVersion = version;
+    }
+
+    all() {
+        this.load();
+        return [...this.rates];
+    }
+
+    query({ driverID } = {}) {
+        this.load();
+        return driverID === undefined ? [...this.rates] : [...(this.byDriver.get(driverID) || [])];
+    }
+
+    find(driverID, date) {
+        return getRateVersion(this.query({ driverID }), driverID, date);
+    }
+
+    insert(rate) {
+        withFileLock(this.filePath, () => {
+            fs.appendFileSync(this.filePath, JSON.stringify(rate) + "\n");
+        });
+    }
+}
+
+// The version of a driver's entry in force on date (default today); the
+// later row wins when two take effect on the same day
+function getRateVersion(rates, driverID, date = getToday()) {
+    const versions = rates
+        .filter(rate => rate.driverID === driverID && (rate.effectiveFrom || "") <= date)
+        .sort((a, b) => (a.effectiveFrom || "").localeCompare(b.effectiveFrom || ""));
+
+    return versions[versions.length - 1] || null;
+}
+
+const shiftStores = new Map();
+
+function getShiftStore(textFile) {
+    if (typeof textFile !== "string")
+        return textFile;
+
+    if (!shiftStores.has(textFile))
+        shiftStores.set(textFile, textFile.endsWith(".jsonl") ? new JsonLinesShiftStore(textFile) : new TextShiftStore(textFile));
+
+    return shiftStores.get(textFile);
+}
+
+const rateStores = new Map();
+
+function getRateStore(rateFile) {
+    if (typeof rateFile !== "string")
+        return rateFile;
+
+    if (!rateStores.has(rateFile))
+        rateStores.set(rateFile, rateFile.endsWith(".jsonl") ? new JsonLinesRateStore(rateFile) : new TextRateStore(rateFile));
+
+    return rateStores.get(rateFile);
+}
+
+// Looks up and validates a driver's entry in the rates file, as in force
+// on date (default today)
+function getDriverRate(rateFile, driverID, date) {
+    const store = getRateStore(rateFile);
+    const rate = store.find(driverID, date);
+
+    if (!rate)
+        throw new UnknownDriverError(`Unknown driver "${driverID}" in ${store.filePath}${date ? ` on ${date}` : ""}`);
+
+    const dayOff = String(rate.dayOff).trim().toLowerCase();
+    const basePay = Number(rate.basePay);
+    const tier = Number(rate.tier);
+
+    if (DAYS[dayOff] === undefined)
+        throw new InvalidDayOffError(`Invalid day off "${rate.dayOff}" for driver ${driverID}`);
+
+    // Whether the tier exists is up to the pay policy of the period paid
+    if (!Number.isInteger(tier) || tier < 1)
+        throw new InvalidTierError(`Invalid tier "${rate.tier}" for driver ${driverID}`);
+
+    return {
+        driverID,
+        dayOff,
+        basePay,
+        tier,
+        driverName: rate.driverName || "",
+        effectiveFrom: rate.effectiveFrom || null,
+        active: isActiveRate(rate)
+    };
+}
+
+function isActiveRate(rate) {
+    return String(rate.status || "active").trim().toLowerCase() !== "inactive";
+}
+
+// date => the driver's validated entry in force on that date, or null on
+// days they are not on the roster yet or inactive
+function getDayRateLookup(rateFile, driverID) {
+    const store = getRateStore(rateFile);
+    const rates = store.query({ driverID });
+    const entries = new Map();
+
+    if (rates.length === 0)
+        throw new UnknownDriverError(`Unknown driver "${driverID}" in ${store.filePath}`);
+
+    return date => {
+        const version = getRateVersion(rates, driverID, date);
+
+        if (!version || !isActiveRate(version)) return null;
+
+        if (!entries.has(version))
+            entries.set(version, getDriverRate(store, driverID, date));
+
+        return entries.get(version);
+    };
+}
+
+// Runs of consecutive days in a month paid at the same entry, each with its
+// share of the month's days. Days off the roster or inactive belong to no
+// run. A bare month is paid at today's entry in full.
+function getRateSegments(rateFile, driverID, month) {
+    const period = month === undefined ? { year: null } : parsePeriod(month);
+
+    if (period.year === null)
+        return [{ ...getDriverRate(rateFile, driverID), from: null, to: null, share: 1 }];
+
+    const dates = getPeriodDates(period);
+    const getRate = getDayRateLookup(rateFile, driverID);
+    const segments = [];
+
+    dates.forEach((date, i) => {
+        const rate = getRate(date);
+        const last = segments[segments.length - 1];
+
+        if (!rate) return;
+
+        if (last && last.rate === rate && last.to === dates[i - 1]) {
+            last.to = date;
+            last.days++;
+        } else {
+            segments.push({ rate, from: date, to: date, days: 1 });
+        }
+    });
+
+    // Inactive for the whole month: nothing to pay
+    if (segments.length === 0)
+        return [{ ...getDriverRate(rateFile, driverID, dates[0]), from: dates[0], to: dates[dates.length - 1], share: 0 }];
+
+    return segments.map(({ rate, from, to, days }) => ({ ...rate, from, to, share: days / dates.length }));
+}
+
+// Drivers in a rates file that were active at some point of a period; every
+// driver for a bare month
+function getPayrollDriverIDs(rateFile, month) {
+    const store = getRateStore(rateFile);
+    const byDriver = groupByDriver(store.all());
+    const driverIDs = [...byDriver.keys()];
+
+    const period = parsePeriod(month);
+    if (period.year === null)
+        return driverIDs;
+
+    const dates = getPeriodDates(period);
+
+    return driverIDs.filter(driverID => {
+        const rates = byDriver.get(driverID);
+        const changes = rates
+            .filter(rate => rate.effectiveFrom > dates[0] && rate.effectiveFrom <= dates[dates.length - 1])
+            .map(rate => rate.effectiveFrom);
+
+        return [dates[0], ...changes].some(date => {
+            const rate = getRateVersion(rates, driverID, date);
+            return rate && isActiveRate(rate);
+        });
+    });
+}
+
+// ============================================================
+// Function 1: getShiftDuration(startTime, endTime)
+// startTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
+// endTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
+// Both may be prefixed with a yyyy-mm-dd date for multi-day shifts
+// Returns: string formatted as h:mm:ss
+// ============================================================
+function getShiftDuration(startTime, endTime) {
+    const interval = getShiftInterval(startTime, endTime);
+
+    return formatToTime(interval.end - interval.start);
+}
+
+// ============================================================
+// Function 2: getIdleTime(startTime, endTime)
+// startTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
+// endTime: (typeof string) formatted as hh:mm:ss am or hh:mm:ss pm
+// Both may be prefixed with a yyyy-mm-dd date for multi-day shifts
+// date: (typeof string) optional yyyy-mm-dd, for weekday delivery windows
+// driverID: (typeof string) optional, for driver-specific delivery windows
+// windowFile: (typeof string) optional path to delivery windows file,
+// defaults to deliveryWindows.txt next to the default shifts file
+// Returns: string formatted as h:mm:ss
+// ============================================================
+function getIdleTime(startTime, endTime, date, driverID, windowFile = getWindowFile(SHIFTS_FILE)) {
+    const getWindows = getWindowLookup(readDeliveryWindows(windowFile), driverID);
+
+    // Without a date the weekday is unknown, so only all-week windows apply
+    const dated = Boolean(date || splitTimestamp(startTime).date);
+
+    const idleTime = getDaySegments(getShiftInterval(startTime, endTime, date), dated ? getWindows : () => getWindows(null))
+        .reduce((total, segment) => total + segment.idleSeconds, 0);
+
+    return formatToTime(idleTime)
+}
+
+// ============================================================
+// Function 3: getActiveTime(shiftDuration, idleTime)
+// shiftDuration: (typeof string) formatted as h:mm:ss
+// idleTime: (typeof string) formatted as h:mm:ss
+// breakTime: (typeof string) optional h:mm:ss of breaks within delivery hours
+// Returns: string formatted as h:mm:ss
+// ============================================================
+function getActiveTime(shiftDuration, idleTime, breakTime = "0:00:00") {
+    const shiftSeconds = parseToSeconds(shiftDuration);
+    const idleSeconds = parseToSeconds(idleTime);
+    const breakSeconds = parseToSeconds(breakTime);
+
+    if (idleSeconds + breakSeconds > shiftSeconds)
+        throw new InvalidTimeError(`Idle time ${idleTime} and breaks ${breakTime} exceed shift duration ${shiftDuration}`);
+
+    return formatToTime(shiftSeconds - idleSeconds - breakSeconds);
+}
+
+// Delivery window helpers
+// deliveryWindows.txt rows: Name,Days,Windows,Drivers. Days and Drivers are
+// space-separated and empty for all; Windows is a space-separated list of
+// h:mm:ss-h:mm:ss ranges within the day (24:00:00 for midnight), or off.
+// The delivery windows next to a shifts file
+function getWindowFile(textFile) {
+    return getSiblingFile(textFile, DELIVERY_CONFIG.WINDOW_FILE);
+}
+
+function parseWindows(str) {
+    if (str.toLowerCase() === "off")
+        return [];
+
+    const windows = str.split(/\s+/).map(range => {
+        const [start, end, extra] = range.split("-");
+
+        if (end === undefined || extra !== undefined)
+            throw new InvalidTimeError(`Invalid delivery window "${range}", expected h:mm:ss-h:mm:ss`);
+
+        const window = { start: parseToSeconds(start), end: parseToSeconds(end) };
+
+        if (window.start >= window.end || window.end > DAY_SECONDS)
+            throw new InvalidTimeError(`Invalid delivery window "${range}", must end after it starts and by 24:00:00`);
+
+        return window;
+    }).sort((a, b) => a.start - b.start);
+
+    for (let i = 1; i < windows.length; i++) {
+        if (windows[i].start < windows[i - 1].end)
+            throw new InvalidTimeError(`Delivery windows "${str}" overlap`);
+    }
+
+    return windows;
+}
+
+function readDeliveryWindows(windowFile) {
+    if (!windowFile || !fs.existsSync(windowFile))
+        return DELIVERY_CONFIG.DEFAULT_WINDOWS;
+
+    return readParsedFile(windowFile, parseDeliveryWindows);
+}
+
+function parseDeliveryWindows(windowFile) {
+    return readCsvRows(windowFile, "Name").map(parts => ({
+        name: parts[0],
+        days: (parts[1] || "").split(/\s+/).filter(Boolean).map(day => {
+            if (DAYS[day.toLowerCase()] === undefined)
+                throw new InvalidDateError(`Unknown weekday "${day}" in delivery windows`);
+
+            return DAYS[day.toLowerCase()];
+        }),
+        windows: parseWindows(parts[2] || ""),
+        drivers: (parts[3] || "").split(/\s+/).filter(Boolean)
+    }));
+}
+
+// Returns date => windows for a driver. The most specific matching row wins:
+// a driver row over an all-driver one, then a weekday row over an all-week
+// one; on a tie the later row wins. A null date matches all-week rows only.
+function getWindowLookup(windowRows, driverID) {
+    return date => {
+        const weekday = date ? getWeekday(date) : null;
+
+        let best = null;
+        let bestRank = -1;
+
+        for (const row of windowRows) {
+            if (row.drivers.length > 0 && !row.drivers.includes(driverID)) continue;
+            if (row.days.length > 0 && !row.days.includes(weekday)) continue;
+
+            const rank = (row.drivers.length > 0 ? 2 : 0) + (row.days.length > 0 ? 1 : 0);
+
+            if (rank >= bestRank) {
+                best = row;
+                bestRank = rank;
+            }
+        }
+
+        return best ? best.windows : DELIVERY_CONFIG.DEFAULT_WINDOWS[0].windows;
+    };
+}
+
+// Holiday calendar helpers
+// holidays.txt columns: Name,StartDate,EndDate,DailyMinimum,Drivers
+// DailyMinimum is h:mm:ss or "off"; Drivers is an optional space-separated
+// list of driver IDs the holiday is limited to
+// A file with the given name in the same directory as dataFile
+function getSiblingFile(dataFile, fileName) {
+    if (typeof dataFile !== "string")
+        dataFile = dataFile.filePath || "";
+
+    return dataFile.replace(/[^\/\\]*$/, "") + fileName;
+}
+
+// The holiday calendar next to a driver rates file. Callers with only a
+// shifts file use the roster next to it (getRosterFile).
+function getHolidayFile(rateFile) {
+    return getSiblingFile(rateFile, DELIVERY_CONFIG.HOLIDAY_FILE);
+}
+
+function getRosterFile(textFile) {
+    return getSiblingFile(textFile, DRIVER_RATES_FILE);
+}
+
+function readHolidays(holidayFile) {
+    if (!holidayFile || !fs.existsSync(holidayFile))
+        return DELIVERY_CONFIG.DEFAULT_HOLIDAYS;
+
+    return readParsedFile(holidayFile, parseHolidays);
+}
+
+// Dates are compared as strings, so each must be a full yyyy-mm-dd
+function parseHolidays(holidayFile) {
+    return readCsvRows(holidayFile, "Name").map(parts => {
+        if (parts.length < 4)
+            throw new InvalidDateError(`Holiday "${parts.join(",")}" in ${holidayFile} needs Name,StartDate,EndDate,DailyMinimum`);
+
+        const start = validateDate(parts[1]);
+        const end = validateDate(parts[2]);
+
+        if (end < start)
+            throw new InvalidDateError(`Holiday "${parts[0]}" in ${holidayFile} ends on ${end}, before it starts on ${start}`);
+
+        const dailyMinimum = parts[3].toLowerCase();
+
+        return {
+            name: parts[0],
+            start,
+            end,
+            dailyMinimum: dailyMinimum === "off" ? 0 : parseToSeconds(dailyMinimum),
+            drivers: (parts[4] || "").split(/\s+/).filter(Boolean)
+        };
+    });
+}
+
+function getHolidaysOn(date, driverID, holidays) {
+    return holidays.filter(holiday =>
+        date >= holiday.start && date <= holiday.end
+        && (holiday.drivers.length === 0 || holiday.drivers.includes(driverID)));
+}
+
+// Required active seconds for a driver on a date; 0 on a day-off holiday.
+// When several holidays apply, the lowest minimum wins.
+function getDailyMinimum(date, driverID, holidays) {
+    return getHolidaysOn(date, driverID, holidays)
+        .reduce((minimum, holiday) => Math.min(minimum, holiday.dailyMinimum), DELIVERY_CONFIG.DAILY_MINIMUM.NORMAL);
+}
+
+// ============================================================
+// Function 4: metQuota(date, activeTime)
+// date: (typeof string) formatted as yyyy-mm-dd
+// activeTime: (typeof string) formatted as h:mm:ss
+// driverID: (typeof string) optional, for driver-specific holidays
+// holidayFile: (typeof string) optional path to holiday calendar file,
+// defaults to holidays.txt next to the default driver rates file
+// Returns: boolean
+// ============================================================
+function metQuota(date, activeTime, driverID, holidayFile = getHolidayFile(DRIVER_RATES_FILE)) {
+    const holidays = readHolidays(holidayFile);
+
+    return parseToSeconds(activeTime) >= getDailyMinimum(validateDate(date), driverID, holidays);
+}
+
+// Keeps the clock time as given, prefixed with its date only when that is
+// later than date
+function formatStoredTime(time, seconds, date) {
+    const day = formatDate(Math.floor(seconds / DAY_SECONDS));
+
+    return day === date ? splitTimestamp(time).time : `${day} ${splitTimestamp(time).time}`;
+}
+
+// The roster (the rates file given, else the one next to the shifts file),
+// its holidays and the delivery windows next to the shifts file, read once
+// for every shift checked against them; the roster store keeps its own copy
+function getShiftContext(textFile, rateFile = getRosterFile(textFile)) {
+    const rosterStore = getRateStore(rateFile);
+
+    return {
+        roster: rosterStore.exists() ? rosterStore : null,
+        windowRows: readDeliveryWindows(getWindowFile(textFile)),
+        holidays: readHolidays(getHolidayFile(rateFile))
+    };
+}
+
+// Validates a shift and computes its derived fields; overlaps with other
+// shifts are up to the caller. Returns { record, interval }.
+function buildShiftRecord(shiftObj, context) {
+    if (!shiftObj || typeof shiftObj.driverID !== "string" || !shiftObj.driverID.trim())
+        throw new InvalidShiftError("Shift is missing a driverID");
+
+    if (typeof shiftObj.driverName !== "string" || !shiftObj.driverName.trim())
+        throw new InvalidShiftError(`Shift for ${shiftObj.driverID} is missing a driverName`);
+
+    validateDate(shiftObj.date);
+
+    if (shiftObj.endDate !== undefined)
+        validateDate(shiftObj.endDate);
+
+    // Checked against the roster next to the shifts file when there is one;
+    // entries without a name only check that the driver is active
+    if (context.roster) {
+        const driver = getDriverRate(context.roster, shiftObj.driverID, shiftObj.date);
+        const normalise = name => name.trim().replace(/\s+/g, " ").toLowerCase();
+
+        if (!driver.active)
+            throw new InvalidShiftError(`Driver ${shiftObj.driverID} is not active on ${shiftObj.date}`);
+
+        if (driver.driverName && normalise(driver.driverName) !== normalise(shiftObj.driverName))
+            throw new InvalidShiftError(`Driver name "${shiftObj.driverName}" does not match "${driver.driverName}" on the roster for ${shiftObj.driverID}`);
+    }
+
+    const endTime = shiftObj.endDate
+        ? `${shiftObj.endDate} ${splitTimestamp(shiftObj.endTime).time}`
+        : shiftObj.endTime;
+
+    const interval = getShiftInterval(shiftObj.startTime, endTime, shiftObj.date);
+
+    if (interval.end <= interval.start)
+        throw new InvalidShiftError(`Shift for ${shiftObj.driverID} on ${shiftObj.date} ends before it starts`);
+
+    // Store the end as a full timestamp whenever it falls on a later day
+    const storedEndTime = formatStoredTime(endTime, interval.end, shiftObj.date);
+
+    const breaks = getBreakIntervals(shiftObj.breaks || [], interval, shiftObj.date);
+
+    const segments = getDaySegments(interval, getWindowLookup(context.windowRows, shiftObj.driverID), breaks);
+
+    const shiftDuration = formatToTime(interval.end - interval.start);
+    const idleTime = formatToTime(segments.reduce((total, segment) => total + segment.idleSeconds, 0));
+    const breakTime = formatToTime(segments.reduce((total, segment) => total + segment.breakSeconds, 0));
+    const activeTime = getActiveTime(shiftDuration, idleTime, breakTime);
+
+    // Quota is checked for every calendar day the shift has active time on,
+    // for this shift alone; callers that know the driver's other shifts
+    // that day replace it with getDailyQuotaFlag
+    const quotaMetOn = (date, seconds) => seconds >= getDailyMinimum(date, shiftObj.driverID, context.holidays);
+    const activeSegments = segments.filter(segment => segment.activeSeconds > 0);
+    const metQuotaFlag = activeSegments.length > 0
+        ? activeSegments.every(segment => quotaMetOn(segment.date, segment.activeSeconds))
+        : quotaMetOn(shiftObj.date, parseToSeconds(activeTime));
+
+    const record = {
+        driverID: shiftObj.driverID,
+        driverName: shiftObj.driverName,
+        date: shiftObj.date,
+        startTime: splitTimestamp(shiftObj.startTime).time,
+        endTime: storedEndTime,
+        shiftDuration,
+        idleTime,
+        activeTime,
+        metQuota: metQuotaFlag,
+        hasBonus: false
+    };
+
+    // Records without breaks keep the original 10 properties
+    if (breaks.length > 0) {
+        record.breaks = breaks.map(pause => ({
+            start: formatStoredTime(pause.source.start, pause.start, shiftObj.date),
+            end: formatStoredTime(pause.source.end, pause.end, shiftObj.date)
+        }));
+    }
+
+    return { record, interval };
+}
+
+function overlapsAny(interval, records) {
+    return records.some(r => {
+        const existing = getShiftInterval(r.startTime, r.endTime, r.date);
+        return interval.start < existing.end && existing.start < interval.end;
+    });
+}
+
+// Quota helpers
+// The daily minimum is met per calendar day by the driver's total active
+// time over all shifts that day; a shift's metQuota says whether every day
+// it has active time on (its own date if none) met it
+function getActiveByDate(records, windowRows) {
+    const activeByDate = new Map();
+
+    for (const record of records) {
+        for (const day of getRecordActiveByDate(record, windowRows))
+            activeByDate.set(day.date, (activeByDate.get(day.date) || 0) + day.activeSeconds);
+    }
+
+    return activeByDate;
+}
+
+function getRecordQuotaDates(record, windowRows) {
+    const days = getRecordActiveByDate(record, windowRows);
+    const activeDays = days.filter(day => day.activeSeconds > 0);
+
+    return (activeDays.length > 0 ? activeDays : days.slice(0, 1)).map(day => day.date);
+}
+
+function getDailyQuotaFlag(record, activeByDate, context) {
+    return getRecordQuotaDates(record, context.windowRows).every(date =>
+        (activeByDate.get(date) || 0) >= getDailyMinimum(date, record.driverID, context.holidays));
+}
+
+// After a driver's shifts on dates changed, rewrites the flag of every
+// other shift on those dates whose day total now gives a different answer
+function refreshDailyQuota(store, driverID, dates, context, actor) {
+    const records = store.query({ driverID });
+    const activeByDate = getActiveByDate(records, context.windowRows);
+
+    for (const record of records) {
+        if (!getRecordActiveByDate(record, context.windowRows).some(day => dates.includes(day.date))) continue;
+
+        const metQuota = getDailyQuotaFlag(record, activeByDate, context);
+
+        if (metQuota !== record.metQuota)
+            store.replace(record, { ...record, metQuota }, { actor });
+    }
+}
+
+// ============================================================
+// Function 5: addShiftRecord(textFile, shiftObj)
+// textFile: (typeof string) path to shifts text file
+// shiftObj: (typeof object) has driverID, driverName, date, startTime, endTime
+// and optionally endDate (yyyy-mm-dd) for shifts ending on a later day and
+// breaks, a list of { start, end } times within the shift
+// actor: (typeof string) optional, who made the change (for the audit log)
+// options: (typeof object) optional { rateFile }, the roster to check the
+// driver against and read holidays from (default: driverRates.txt next to
+// textFile, not checked when missing)
+// Returns: object with 10 properties (plus breaks when given)
+// Throws: DuplicateShiftError if the shift overlaps an existing one,
+// PeriodClosedError if a month it has time in is closed, InvalidShiftError for breaks outside the shift or overlapping each other or
+// a driver that is inactive or named differently on the roster,
+// UnknownDriverError for a driver missing from the roster
+// ============================================================
+function addShiftRecord(textFile, shiftObj, actor, { rateFile } = {}) {
+    const context = getShiftContext(textFile, rateFile);
+    const { record, interval } = buildShiftRecord(shiftObj, context);
+
+    assertShiftOpen(textFile, record);
+
+    const store = getShiftStore(textFile);
+
+    // Shifts of the same driver may share a date but must not overlap. The
+    // insert fails with ConflictError if the file changes after this check.
+    const readVersion = store.version();
+
+    const others = store.query({ driverID: record.driverID });
+
+    if (overlapsAny(interval, others))
+        throw new DuplicateShiftError(`Shift for ${record.driverID} on ${record.date} overlaps an existing shift`);
+
+    record.metQuota = getDailyQuotaFlag(record, getActiveByDate([...others, record], context.windowRows), context);
+
+    store.insert(record, { expectedVersion: readVersion, actor });
+    refreshDailyQuota(store, record.driverID, getRecordQuotaDates(record, context.windowRows), context, actor);
+
+    return record;
+}
+
+// ============================================================
+// importShifts(textFile, input, options)
+// textFile: (typeof string) path to shifts text file
+// input: (typeof object) list of shiftObj as for addShiftRecord, or the path
+// of a .json file holding one or of a .csv file with a header row
+// (DriverID, DriverName, Date, StartTime, EndTime, and optionally EndDate
+// and Breaks as in shifts.txt)
+// options: (typeof object) optional { onDuplicate, actor, rateFile };
+// onDuplicate is skip (default: write the other rows) or reject (write
+// nothing if any row overlaps an existing shift or an earlier row);
+// rateFile as for addShiftRecord
+// Returns: { written, rows }; rows has one { row, driverID, date, status,
+// error } per input row, status accepted, duplicate or invalid (or rejected
+// for a valid row not written because onDuplicate reject refused the import)
+// ============================================================
+
+// Helpers
+const IMPORT_COLUMNS = {
+    driverid: "driverID",
+    drivername: "driverName",
+    date: "date",
+    starttime: "startTime",
+    endtime: "endTime",
+    enddate: "endDate",
+    breaks: "breaks"
+};
+
+function readImportRows(input) {
+    if (Array.isArray(input))
+        return input;
+
+    if (typeof input !== "string" || !fs.existsSync(input))
+        throw new InvalidShiftError(`Import input must be a list of shifts or an existing file, got "${input}"`);
+
+    if (input.toLowerCase().endsWith(".json")) {
+        let rows;
+        try {
+            rows = JSON.parse(fs.readFileSync(input, "utf8"));
+        } catch (error) {
+            throw new InvalidShiftError(`Cannot read ${input}: ${error.message}`);
+        }
+
+        if (!Array.isArray(rows))
+            throw new InvalidShiftError(`${input} must hold a list of shifts`);
+
+        return rows;
+    }
+
+    const [header = [], ...rows] = readCsv(input);
+    const keys = header.map(column => IMPORT_COLUMNS[column.trim().toLowerCase()]);
+
+    return rows
+        .filter(row => row.some(field => field.trim()))
+        .map(row => {
+            const shiftObj = {};
+
+            keys.forEach((key, i) => {
+                const value = (row[i] || "").trim();
+                if (key && value) shiftObj[key] = value;
+            });
+
+            return shiftObj;
+        });
+}
+
+function importShifts(textFile, input, { onDuplicate = "skip", actor, rateFile } = {}) {
+    if (onDuplicate !== "skip" && onDuplicate !== "reject")
+        throw new InvalidShiftError(`onDuplicate must be skip or reject, got "${onDuplicate}"`);
+
+    const inputRows = readImportRows(input);
+    const context = getShiftContext(textFile, rateFile);
+    const closed = getClosedPeriods(textFile);
+    const store = getShiftStore(textFile);
+    const readVersion = store.version();
+
+    // Existing and accepted shifts per driver, for the overlap check
+    const shiftsByDriver = groupByDriver(store.all());
+
+    const accepted = [];
+
+    const rows = inputRows.map((shiftObj, i) => {
+        const row = { row: i + 1, driverID: shiftObj && shiftObj.driverID, date: shiftObj && shiftObj.date };
+
+        try {
+            if (shiftObj && typeof shiftObj.breaks === "string")
+                shiftObj = { ...shiftObj, breaks: parseBreaks(shiftObj.breaks) };
+
+            const { record, interval } = buildShiftRecord(shiftObj, context);
+            checkShiftOpen(closed, record);
+
+            const driverShifts = shiftsByDriver.get(record.driverID) || [];
+
+            if (overlapsAny(interval, driverShifts))
+                return { ...row, status: "duplicate", error: `Overlaps an existing shift for ${record.driverID} on ${record.date}` };
+
+            driverShifts.push(record);
+            shiftsByDriver.set(record.driverID, driverShifts);
+            accepted.push(record);
+
+            return { ...row, status: "accepted", error: null };
+        } catch (error) {
+            if (!(error instanceof ShiftTrackerError)) throw error;
+
+            return { ...row, status: "invalid", error: error.message };
+        }
+    });
+
+    const rejected = onDuplicate === "reject" && rows.some(row => row.status === "duplicate");
+
+    // Nothing is written, so the rows that would have been are not reported as accepted
+    if (rejected) {
+        return {
+            written: 0,
+            rows: rows.map(row => row.status === "accepted"
+                ? { ...row, status: "rejected", error: "Not written because the import has duplicates" }
+                : row)
+        };
+    }
+
+    if (accepted.length > 0) {
+        const activeByDriver = new Map([...groupByDriver(accepted).keys()].map(driverID =>
+            [driverID, getActiveByDate(shiftsByDriver.get(driverID), context.windowRows)]));
+
+        for (const record of accepted)
+            record.metQuota = getDailyQuotaFlag(record, activeByDriver.get(record.driverID), context);
+
+        store.insertMany(accepted, { expectedVersion: readVersion, actor });
+
+        for (const [driverID, records] of groupByDriver(accepted))
+            refreshDailyQuota(store, driverID, records.flatMap(record => getRecordQuotaDates(record, context.windowRows)), context, actor);
+    }
+
+    return { written: accepted.length, rows };
+}
+
+// ============================================================
+// Function 6: setBonus(textFile, driverID, date, newValue)
+// textFile: (typeof string) path to shifts text file
+// driverID: (typeof string)
+// date: (typeof string) formatted as yyyy-mm-dd
+// newValue: (typeof boolean)
+// actor: (typeof string) optional, who made the change (for the audit log)
+// A bonus is earned per day, so every shift the driver has on date gets
+// the flag and countBonusPerMonth counts the day once
+// Returns: nothing (void)
+// Throws: PeriodClosedError if the month of date is closed,
+// UnknownDriverError for a driver missing from the roster (or, without a
+// roster, from the shifts file), ShiftNotFoundError if the driver has no
+// shift on date
+// ============================================================
+function setBonus(textFile, driverID, date, newValue, actor) {
+    validateDate(date);
+    assertPeriodOpen(textFile, date);
+
+    if (typeof newValue !== "boolean")
+        throw new ShiftTrackerError(`Invalid bonus value "${newValue}", expected true or false`);
+
+    const store = getShiftStore(textFile);
+    const roster = getRateStore(getRosterFile(textFile));
+    const drivers = roster.exists() ? roster : store;
+
+    if (drivers.query({ driverID }).length === 0)
+        throw new UnknownDriverError(`Unknown driver "${driverID}" in ${drivers.filePath}`);
+
+    const changed = store.update(driverID, date, { hasBonus: newValue }, { actor });
+
+    if (changed.length === 0)
+        throw new ShiftNotFoundError(`No shift for ${driverID} on ${date}`);
+}
+
+// ============================================================
+// updateShiftRecord(textFile, shift, changes, actor, options)
+// deleteShiftRecord(textFile, shift, actor, options)
+// textFile: (typeof string) path to shifts text file
+// shift: (typeof object) { driverID, date, startTime }; startTime may be left
+// out when the driver has one shift that day
+// changes: (typeof object) any of driverName, date, startTime, endTime,
+// endDate and breaks, as in addShiftRecord's shiftObj
+// actor: (typeof string) optional, who made the change (for the audit log)
+// options: (typeof object) optional { rateFile }, as for addShiftRecord
+// Returns: the updated record (deleteShiftRecord: the deleted one)
+// Throws: ShiftNotFoundError, PeriodClosedError if a month the shift has
+// time in (before or after the change) is closed, and the errors of
+// addShiftRecord
+// ============================================================
+
+// Helpers
+function getClosedPeriods(textFile) {
+    const closedFile = getSiblingFile(textFile, CLOSED_PERIODS_FILE);
+
+    if (!fs.existsSync(closedFile)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(closedFile, "utf8"));
+    } catch (error) {
+        throw new ShiftTrackerError(`Cannot read closed periods from ${closedFile}: ${error.message}`);
+    }
+}
+
+function isClosedEntry(entry) {
+    return Boolean(entry) && entry.status !== "reopened";
+}
+
+function checkPeriodOpen(closed, date) {
+    if (isClosedEntry(closed[date.slice(0, 7)]))
+        throw new PeriodClosedError(`Pay period ${date.slice(0, 7)} is closed`);
+}
+
+function assertPeriodOpen(textFile, ...dates) {
+    const closed = getClosedPeriods(textFile);
+
+    for (const date of dates)
+        checkPeriodOpen(closed, date);
+}
+
+// The yyyy-mm months a shift has time in. Unlike getRecordMonths this
+// reads the times, so a shift ending by midnight on the 28th or later stays
+// in its own month; a record whose times can't be read gets both.
+function getShiftMonths(record) {
+    let interval;
+    try {
+        interval = getShiftInterval(record.startTime, record.endTime, record.date);
+    } catch (error) {
+        if (!(error instanceof ShiftTrackerError)) throw error;
+
+        return getRecordMonths(record);
+    }
+
+    const last = formatDate(Math.floor(Math.max(interval.start, interval.end - 1) / DAY_SECONDS)).slice(0, 7);
+
+    const months = [record.date.slice(0, 7)];
+    while (months[months.length - 1] < last)
+        months.push(getNextMonth(months[months.length - 1]));
+
+    return months;
+}
+
+// A shift running into a closed month would change that month's hours, so
+// every month it has time in must be open
+function checkShiftOpen(closed, record) {
+    for (const month of getShiftMonths(record))
+        checkPeriodOpen(closed, month);
+}
+
+function assertShiftOpen(textFile, ...records) {
+    const closed = getClosedPeriods(textFile);
+
+    for (const record of records)
+        checkShiftOpen(closed, record);
+}
+
+function findShiftRecord(store, shift) {
+    if (!shift || typeof shift.driverID !== "string")
+        throw new InvalidShiftError("Shift to change needs a driverID and a date");
+
+    validateDate(shift.date);
+
+    const matches = store.query({ driverID: shift.driverID }).filter(record =>
+        record.date === shift.date
+        && (shift.startTime === undefined || parseClockTime(record.startTime) === parseClockTime(splitTimestamp(shift.startTime).time)));
+
+    if (matches.length === 0)
+        throw new ShiftNotFoundError(`No shift for ${shift.driverID} on ${shift.date}${shift.startTime ? ` at ${shift.startTime}` : ""}`);
+
+    if (matches.length > 1)
+        throw new InvalidShiftError(`${shift.driverID} has ${matches.length} shifts on ${shift.date}; give the startTime`);
+
+    return matches[0];
+}
+
+function updateShiftRecord(textFile, shift, changes, actor, { rateFile } = {}) {
+    const allowed = ["driverName", "date", "startTime", "endTime", "endDate", "breaks"];
+    const unknown = Object.keys(changes || {}).filter(key => !allowed.includes(key));
+
+    if (!changes || unknown.length > 0)
+        throw new InvalidShiftError(`Only ${allowed.join(", ")} can be changed${unknown.length ? `, not ${unknown.join(", ")}` : ""}`);
+
+    const store = getShiftStore(textFile);
+    const readVersion = store.version();
+    const current = findShiftRecord(store, shift);
+
+    // A new end time replaces the stored one, which may carry its own date
+    const shiftObj = {
+        driverID: current.driverID,
+        driverName: current.driverName,
+        date: current.date,
+        startTime: current.startTime,
+        endTime: current.endTime,
+        ...(current.breaks ? { breaks: current.breaks } : {}),
+        ...changes
+    };
+
+    assertShiftOpen(textFile, current);
+
+    const context = getShiftContext(textFile, rateFile);
+    const { record, interval } = buildShiftRecord(shiftObj, context);
+    record.hasBonus = current.hasBonus;
+
+    assertShiftOpen(textFile, record);
+
+    const others = store.query({ driverID: current.driverID }).filter(r => shiftKey(r) !== shiftKey(current));
+
+    if (overlapsAny(interval, others))
+        throw new DuplicateShiftError(`Shift for ${record.driverID} on ${record.date} overlaps an existing shift`);
+
+    record.metQuota = getDailyQuotaFlag(record, getActiveByDate([...others, record], context.windowRows), context);
+
+    store.replace(current, record, { expectedVersion: readVersion, actor });
+    refreshDailyQuota(store, record.driverID, [
+        ...getRecordActiveByDate(current, context.windowRows).map(day => day.date),
+        ...getRecordQuotaDates(record, context.windowRows)
+    ], context, actor);
+
+    return record;
+}
+
+function deleteShiftRecord(textFile, shift, actor, { rateFile } = {}) {
+    const store = getShiftStore(textFile);
+    const readVersion = store.version();
+    const current = findShiftRecord(store, shift);
+
+    assertShiftOpen(textFile, current);
+
+    store.replace(current, null, { expectedVersion: readVersion, actor });
+
+    const context = getShiftContext(textFile, rateFile);
+    refreshDailyQuota(store, current.driverID, getRecordActiveByDate(current, context.windowRows).map(day => day.date), context, actor);
+
+    return current;
+}
+
+// ============================================================
+// clockIn(textFile, driverID, options)
+// clockOut(textFile, driverID, options)
+// textFile: (typeof string) path to shifts text file
+// driverID: (typeof string)
+// options: (typeof object) optional { at, actor, rateFile }; at is the clock
+// time as a Date or a "yyyy-mm-dd hh:mm:ss am/pm" string (default: now); a
+// Date is read on the local clock; actor is recorded in the audit log on
+// clockOut; rateFile is the roster (default: driverRates.txt next to
+// textFile)
+// Returns: clockIn the open shift { driverID, driverName, date, startTime };
+// clockOut the finished record, as from addShiftRecord
+// Throws: DuplicateShiftError if the driver is already clocked in or the
+// clock-in falls inside a recorded shift, ShiftNotFoundError on clockOut
+// without an open shift, and the errors of addShiftRecord
+// ============================================================
+
+// Helpers
+function formatClockTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+
+    return `${hours % 12 || 12}${formatToTime(seconds % 3600).slice(1)} ${hours < 12 ? "am" : "pm"}`;
+}
+
+// Splits a clock time into { date, time, seconds }, seconds counted from
+// the epoch like getShiftInterval
+function toClockTimestamp(at = new Date()) {
+    if (at instanceof Date) {
+        if (isNaN(at.getTime()))
+            throw new InvalidTimeError("Invalid clock time, the Date is not valid");
+
+        // Read on the local clock (the TZ environment variable), like the
+        // delivery windows, holidays and shifts entered by hand
+        const pad = n => String(n).padStart(2, "0");
+        const date = `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}`;
+        const secondOfDay = at.getHours() * 3600 + at.getMinutes() * 60 + at.getSeconds();
+
+        return { date, time: formatClockTime(secondOfDay), seconds: toDayNumber(date) * DAY_SECONDS + secondOfDay };
+    }
+
+    const { date, time } = splitTimestamp(at);
+
+    if (!date)
+        throw new InvalidTimeError(`Invalid clock time "${at}", expected yyyy-mm-dd hh:mm:ss am/pm`);
+
+    return { date, time, seconds: toDayNumber(date) * DAY_SECONDS + parseClockTime(time) };
+}
+
+function readOpenShifts(openFile) {
+    if (!fs.existsSync(openFile)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(openFile, "utf8"));
+    } catch (error) {
+        throw new ShiftTrackerError(`Cannot read open shifts from ${openFile}: ${error.message}`);
+    }
+}
+
+function writeOpenShifts(openFile, openShifts) {
+    writeFileAtomic(openFile, JSON.stringify(openShifts, null, 2) + "\n");
+}
+
+function clockIn(textFile, driverID, { at, rateFile = getRosterFile(textFile) } = {}) {
+    const { date, time, seconds } = toClockTimestamp(at);
+    const driver = getDriverRate(rateFile, driverID, date);
+
+    if (!driver.active)
+        throw new InvalidShiftError(`Driver ${driverID} is not active on ${date}`);
+
+    if (!driver.driverName)
+        throw new InvalidShiftError(`Driver ${driverID} has no name on the roster`);
+
+    const openFile = getSiblingFile(textFile, OPEN_SHIFTS_FILE);
+
+    return withFileLock(openFile, () => {
+        const openShifts = readOpenShifts(openFile);
+
+        if (openShifts[driverID])
+            throw new DuplicateShiftError(`Driver ${driverID} is already clocked in since ${openShifts[driverID].date} ${openShifts[driverID].startTime}`);
+
+        if (overlapsAny({ start: seconds, end: seconds + 1 }, getShiftStore(textFile).query({ driverID })))
+            throw new DuplicateShiftError(`Clock-in for ${driverID} at ${date} ${time} falls inside an existing shift`);
+
+        openShifts[driverID] = { driverID, driverName: driver.driverName, date, startTime: time };
+        writeOpenShifts(openFile, openShifts);
+
+        return openShifts[driverID];
+    });
+}
+
+// The shift is only removed from the open shifts once it is recorded, so
+// a clock-out that fails (e.g. before the clock-in) can be retried
+function clockOut(textFile, driverID, { at, actor, rateFile } = {}) {
+    const { date, time } = toClockTimestamp(at);
+    const openFile = getSiblingFile(textFile, OPEN_SHIFTS_FILE);
+
+    return withFileLock(openFile, () => {
+        const openShifts = readOpenShifts(openFile);
+        const open = openShifts[driverID];
+
+        if (!open)
+            throw new ShiftNotFoundError(`Driver ${driverID} is not clocked in`);
+
+        const record = addShiftRecord(textFile, { ...open, endTime: time, endDate: date }, actor, { rateFile });
+
+        delete openShifts[driverID];
+        writeOpenShifts(openFile, openShifts);
+
+        return record;
+    });
+}
+
+// ============================================================
+// getDriversOnShift(textFile, options)
+// textFile: (typeof string) path to shifts text file
+// options: (typeof object) optional { at, maxOpen }; at as for clockIn
+// (default: now), maxOpen a h:mm:ss duration (default MAX_OPEN_SHIFT)
+// Returns: array of { driverID, driverName, date, startTime, openFor,
+// overdue } for every driver clocked in, longest open first; overdue is
+// true once the shift has been open longer than maxOpen
+// ============================================================
+function getDriversOnShift(textFile, { at, maxOpen = MAX_OPEN_SHIFT } = {}) {
+    const now = toClockTimestamp(at).seconds;
+    const maxSeconds = parseToSeconds(maxOpen);
+
+    return Object.values(readOpenShifts(getSiblingFile(textFile, OPEN_SHIFTS_FILE)))
+        .map(open => ({ open, openSeconds: now - toClockTimestamp(`${open.date} ${open.startTime}`).seconds }))
+        .sort((a, b) => b.openSeconds - a.openSeconds)
+        .map(({ open, openSeconds }) => ({
+            ...open,
+            openFor: formatToTime(openSeconds),
+            overdue: openSeconds > maxSeconds
+        }));
+}
+
+// ============================================================
+// Function 7: countBonusPerMonth(textFile, driverID, month)
+// textFile: (typeof string) path to shifts text file
+// driverID: (typeof string)
+// month: (typeof string) formatted as mm or m, or a yyyy-mm period
+// Returns: number of days with a bonus (-1 if driverID not found); a bonus
+// belongs to the day, so several shifts on one date count once
+// ============================================================
+function countBonusPerMonth(textFile, driverID, month) {
+    const store = getShiftStore(textFile);
+
+    if (!store.exists()) return -1;
+
+    const period = parsePeriod(month);
+
+    if (store.query({ driverID }).length === 0) return -1;
+
+    return new Set(store.query({ driverID, period }).filter(record => record.hasBonus).map(record => record.date)).size;
+}
+
+// ============================================================
+// Function 8: getTotalActiveHoursPerMonth(textFile, driverID, month)
+// textFile: (typeof string) path to shifts text file
+// driverID: (typeof string)
+// month: (typeof number), or a yyyy-mm period
+// Returns: string formatted as hhh:mm:ss
+// ============================================================
+function getTotalActiveHoursPerMonth(textFile, driverID, month) {
+    const store = getShiftStore(textFile);
+
+    if (!store.exists())
+        return formatToTime(0);
+
+    const period = parsePeriod(month);
+    const windowRows = readDeliveryWindows(getWindowFile(textFile));
+
+    let totalSeconds = 0;
+
+    for (const record of store.query({ driverID, period, spanning: true })) {
+        // Multi-day shifts count towards the month of each day they cover
+        for (const day of getRecordActiveByDate(record, windowRows)) {
+            if (isInPeriod(day.date, period))
+                totalSeconds += day.activeSeconds;
+        }
+    }
+
+    return formatToTime(totalSeconds);
+}
+
+// Pay policy helpers
+// payPolicy.json holds a list of policies shaped like DEFAULT_PAY_POLICY.
+// effectiveFrom/effectiveTo are yyyy-mm-dd (null for open-ended); the
+// policy in force on the first day of the paid month applies.
+function readPayPolicies(policyFile) {
+    if (!policyFile || !fs.existsSync(policyFile))
+        return [DEFAULT_PAY_POLICY];
+
+    return readParsedFile(policyFile, parsePayPolicies);
+}
+
+function parsePayPolicies(policyFile) {
+    let policies;
+    try {
+        policies = JSON.parse(fs.readFileSync(policyFile, "utf8"));
+    } catch (error) {
+        throw new InvalidPolicyError(`Cannot parse ${policyFile}: ${error.message}`);
+    }
+
+    if (!Array.isArray(policies))
+        throw new InvalidPolicyError(`${policyFile} must contain a list of policies`);
+
+    return policies.map(policy => {
+        const merged = { ...DEFAULT_PAY_POLICY, ...policy };
+
+        if (!merged.tiers || typeof merged.tiers !== "object")
+            throw new InvalidPolicyError(`Policy ${merged.version} has no tiers`);
+
+        for (const key of ["deductionRateRounding", "billableHoursRounding"]) {
+            if (!ROUNDING[merged[key]])
+                throw new InvalidPolicyError(`Policy ${merged.version} has unknown ${key} "${merged[key]}"`);
+        }
+
+        if (merged.overtime) {
+            const overtime = {
+                multiplier: 1,
+                weekendMultiplier: merged.overtime.multiplier || 1,
+                holidayMultiplier: merged.overtime.multiplier || 1,
+                capHours: null,
+                weekendDays: [],
+                ...merged.overtime
+            };
+
+            for (const day of overtime.weekendDays) {
+                if (DAYS[String(day).toLowerCase()] === undefined)
+                    throw new InvalidPolicyError(`Policy ${merged.version} has unknown weekend day "${day}"`);
+            }
+
+            merged.overtime = overtime;
+        }
+
+        return merged;
+    });
+}
+
+// A bare month has no year, so it is paid under today's policy
+function getPayPolicy(policyFile, period) {
+    const date = getPeriodStart(period);
+
+    const policy = readPayPolicies(policyFile).find(p =>
+        (!p.effectiveFrom || p.effectiveFrom <= date) && (!p.effectiveTo || date <= p.effectiveTo));
+
+    if (!policy)
+        throw new InvalidPolicyError(`No pay policy in ${policyFile} is in force on ${date}`);
+
+    return policy;
+}
+
+// ============================================================
+// Function 9: getRequiredHoursPerMonth(textFile, rateFile, bonusCount, driverID, month)
+// textFile: (typeof string) path to shifts text file
+// rateFile: (typeof string) path to driver rates text file
+// bonusCount: (typeof number) total bonuses for given driver per month
+// driverID: (typeof string)
+// month: (typeof number), or a yyyy-mm period
+// options: (typeof object) optional { holidayFile, policyFile,
+// allScheduledDays }; holidayFile defaults to holidays.txt and policyFile
+// to payPolicy.json next to rateFile; allScheduledDays counts every day of
+// the month except the day off (needs a yyyy-mm period) instead of only
+// days with shifts
+// Returns: string formatted as hhh:mm:ss
+// Throws: InvalidBonusCountError if bonusCount is not a whole number of 0
+// or more (e.g. countBonusPerMonth's -1)
+// ============================================================
+
+// Helpers
+function getUniqueDates(textFile, period, driverID) {
+    const uniqueDates = new Set();
+    const windowRows = readDeliveryWindows(getWindowFile(textFile));
+
+    for (const record of getShiftStore(textFile).query({ driverID, period, spanning: true })) {
+        for (const day of getRecordActiveByDate(record, windowRows)) {
+            if (isInPeriod(day.date, period))
+                uniqueDates.add(day.date);
+        }
+    }
+
+    return uniqueDates;
+}
+
+// getRate: date => the driver's entry that day (see getDayRateLookup)
+function getTotalRequiredSeconds(uniqueDates, getRate, holidays, driverID) {
+    let totalRequiredSeconds = 0;
+
+    for (const dateStr of uniqueDates) {
+        const rate = getRate(dateStr);
+
+        if (!rate || getWeekday(dateStr) === DAYS[rate.dayOff]) continue;
+
+        totalRequiredSeconds += getDailyMinimum(dateStr, driverID, holidays);
+    }
+
+    return totalRequiredSeconds;
+}
+
+// countBonusPerMonth's -1 for an unknown driver is not a count either
+function validateBonusCount(bonusCount) {
+    const count = Number(bonusCount);
+
+    if (bonusCount === null || bonusCount === "" || !Number.isInteger(count) || count < 0)
+        throw new InvalidBonusCountError(`Invalid bonus count "${bonusCount}", expected a whole number of 0 or more`);
+
+    return count;
+}
+
+function getRequiredHoursPerMonth(textFile, rateFile, bonusCount, driverID, month, {
+    holidayFile = getHolidayFile(rateFile),
+    policyFile = getSiblingFile(rateFile, PAY_POLICY_FILE),
+    allScheduledDays = false
+} = {}) {
+    const validBonus = validateBonusCount(bonusCount);
+
+    if (!getShiftStore(textFile).exists() || !getRateStore(rateFile).exists()) return formatToTime(0);
+
+    // The day off can change within the month, so it is looked up per day
+    const getRate = getDayRateLookup(rateFile, driverID);
+
+    const uniqueDates = allScheduledDays
+        ? getPeriodDates(parsePeriod(month))
+        : getUniqueDates(textFile, parsePeriod(month), driverID)
+
+    const holidays = readHolidays(holidayFile);
+
+    let totalRequiredSeconds = getTotalRequiredSeconds(uniqueDates, getRate, holidays, driverID);
+
+    const policy = getPayPolicy(policyFile, month);
+
+    totalRequiredSeconds -= validBonus * policy.bonusCreditHours * 3600;
+
+    if (totalRequiredSeconds < 0)
+        totalRequiredSeconds = 0;
+
+    return formatToTime(totalRequiredSeconds);
+}
+
+// ============================================================
+// Function 10: getNetPay(driverID, actualHours, requiredHours, rateFile)
+// driverID: (typeof string)
+// actualHours: (typeof string) formatted as hhh:mm:ss
+// requiredHours: (typeof string) formatted as hhh:mm:ss
+// rateFile: (typeof string) path to driver rates text file
+// period: (typeof string) optional yyyy-mm being paid, selects the pay policy
+// and the salary/tier history to pro-rate (without it, today's values apply)
+// policyFile: (typeof string) optional, defaults to payPolicy.json next to rateFile
+// options: (typeof object) optional { bonusCount, itemised }; bonusCount
+// (default 0) adds the policy's bonus payout per bonus, itemised returns
+// the breakdown (items, overtime, deduction) as on a payslip
+// Returns: integer (net pay), or the breakdown with netPay when itemised
+// From monthly totals the overtime can't be split by day, so it is all
+// paid at the regular rate: with a policy paying more for weekend or
+// holiday overtime, getPayslip and runPayroll (which the CLI and HTTP
+// server use) pay more than getNetPay for the same month
+// Throws: UnknownDriverError if the driver is not in rateFile (or rateFile
+// does not exist), InvalidBonusCountError as getRequiredHoursPerMonth
+// ============================================================
+// Helpers
+// overtimeByType: optional { regular, weekend, holiday } overtime seconds;
+// without it all overtime is paid at the regular rate
+function getPayBreakdown(basePay, tier, actualHours, requiredHours, policy, overtimeByType, bonusCount = 0) {
+    const tierPolicy = policy.tiers[tier];
+
+    if (!tierPolicy)
+        throw new InvalidTierError(`Tier ${tier} is not defined in pay policy ${policy.version}`);
+
+    const actualSeconds = parseToSeconds(actualHours);
+    const requiredSeconds = parseToSeconds(requiredHours);
+
+    const missingSeconds = Math.max(0, requiredSeconds - actualSeconds);
+    const missingHours = missingSeconds / 3600;
+
+    const allowed = tierPolicy.allowedMissingHours;
+
+    const billableMissingHours = ROUNDING[policy.billableHoursRounding](Math.max(0, missingHours - allowed));
+
+    const deductionRatePerHour = ROUNDING[policy.deductionRateRounding](basePay / policy.deductionDivisor);
+    const salaryDeduction = Math.round(billableMissingHours * deductionRatePerHour);
+
+    const overtime = getOvertimePay(policy, deductionRatePerHour,
+        overtimeByType || { regular: Math.max(0, actualSeconds - requiredSeconds), weekend: 0, holiday: 0 });
+
+    const bonusPayout = policy.bonusPayout * bonusCount;
+
+    const items = [
+        { item: "Base pay", amount: basePay },
+        { item: "Missing hours deduction", amount: -salaryDeduction },
+        { item: "Overtime", amount: overtime.regularPay },
+        { item: "Weekend overtime", amount: overtime.weekendPay },
+        { item: "Holiday overtime", amount: overtime.holidayPay },
+        { item: "Bonus payout", amount: bonusPayout }
+    ].filter(line => line.amount !== 0 || line.item === "Base pay");
+
+    return {
+        basePay,
+        tier,
+        policyVersion: policy.version,
+        actualHours: formatToTime(actualSeconds),
+        requiredHours: formatToTime(requiredSeconds),
+        missingHours: formatToTime(missingSeconds),
+        allowedMissingHours: allowed,
+        billableMissingHours,
+        deductionRatePerHour,
+        salaryDeduction,
+        overtimeHours: formatToTime(overtime.paidSeconds),
+        overtimePay: overtime.total,
+        bonusPayout,
+        items,
+        netPay: items.reduce((total, line) => total + line.amount, 0)
+    };
+}
+
+// A month paid at several roster entries (see getRateSegments). Every
+// amount is the sum of the amounts at each entry times its share of the
+// month; the bonus payout does not depend on the entry and is paid in full.
+function getProratedBreakdown(segments, actualHours, requiredHours, policy, overtimeByType, bonusCount = 0) {
+    if (segments.length === 1 && segments[0].share === 1)
+        return getPayBreakdown(segments[0].basePay, segments[0].tier, actualHours, requiredHours, policy, overtimeByType, bonusCount);
+
+    const parts = segments.map(segment => ({
+        share: segment.share,
+        breakdown: getPayBreakdown(segment.basePay, segment.tier, actualHours, requiredHours, policy, overtimeByType)
+    }));
+
+    const weigh = (getValue, decimals = 0) => {
+        const total = parts.reduce((sum, part) => sum + part.share * getValue(part.breakdown), 0);
+        return Math.round(total * 10 ** decimals) / 10 ** decimals;
+    };
+
+    const names = ["Base pay", "Missing hours deduction", "Overtime", "Weekend overtime", "Holiday overtime"];
+    const amountOf = (breakdown, name) => (breakdown.items.find(line => line.item === name) || { amount: 0 }).amount;
+
+    const items = [
+        ...names.map(name => ({ item: name, amount: weigh(breakdown => amountOf(breakdown, name)) })),
+        { item: "Bonus payout", amount: policy.bonusPayout * bonusCount }
+    ].filter(line => line.amount !== 0 || line.item === "Base pay");
+
+    const last = parts[parts.length - 1].breakdown;
+    const itemAmount = name => (items.find(line => line.item === name) || { amount: 0 }).amount;
+
+    return {
+        basePay: itemAmount("Base pay"),
+        tier: last.tier,
+        policyVersion: policy.version,
+        actualHours: last.actualHours,
+        requiredHours: last.requiredHours,
+        missingHours: last.missingHours,
+        allowedMissingHours: weigh(breakdown => breakdown.allowedMissingHours, 2),
+        billableMissingHours: weigh(breakdown => breakdown.billableMissingHours, 2),
+        deductionRatePerHour: weigh(breakdown => breakdown.deductionRatePerHour),
+        salaryDeduction: Math.abs(itemAmount("Missing hours deduction")),
+        overtimeHours: last.overtimeHours,
+        overtimePay: itemAmount("Overtime") + itemAmount("Weekend overtime") + itemAmount("Holiday overtime"),
+        bonusPayout: itemAmount("Bonus payout"),
+        items,
+        netPay: items.reduce((total, line) => total + line.amount, 0)
+    };
+}
+
+// Pays overtime up to the policy cap, holiday hours first, then weekend
+// hours, then regular ones
+function getOvertimePay(policy, hourlyRate, overtimeByType) {
+    const result = { paidSeconds: 0, regularPay: 0, weekendPay: 0, holidayPay: 0, total: 0 };
+
+    if (!policy.overtime) return result;
+
+    const { capHours } = policy.overtime;
+    let remaining = capHours === null || capHours === undefined ? Infinity : capHours * 3600;
+
+    for (const type of ["holiday", "weekend", "regular"]) {
+        const seconds = Math.min(remaining, overtimeByType[type] || 0);
+        const multiplier = type === "regular" ? policy.overtime.multiplier : policy.overtime[`${type}Multiplier`];
+
+        result[`${type}Pay`] = Math.round(seconds / 3600 * hourlyRate * multiplier);
+        result.paidSeconds += seconds;
+        remaining -= seconds;
+    }
+
+    result.total = result.regularPay + result.weekendPay + result.holidayPay;
+
+    return result;
+}
+
+// Walks the month's days in order; active time past the required hours is
+// overtime and takes the type (holiday, weekend, regular) of its day
+function getOvertimeByType(activeByDate, requiredSeconds, driverID, holidays, weekendDays) {
+    const overtimeByType = { regular: 0, weekend: 0, holiday: 0 };
+    const weekendNums = weekendDays.map(day => DAYS[String(day).toLowerCase()]);
+
+    let worked = 0;
+    for (const [date, seconds] of [...activeByDate.entries()].sort()) {
+        const overtime = Math.min(seconds, Math.max(0, worked + seconds - requiredSeconds));
+        worked += seconds;
+
+        if (overtime === 0) continue;
+
+        const type = getDailyMinimum(date, driverID, holidays) < DELIVERY_CONFIG.DAILY_MINIMUM.NORMAL
+            ? "holiday"
+            : weekendNums.includes(getWeekday(date)) ? "weekend" : "regular";
+
+        overtimeByType[type] += overtime;
+    }
+
+    return overtimeByType;
+}
+
+function getNetPay(driverID, actualHours, requiredHours, rateFile,
+    period, policyFile = getSiblingFile(rateFile, PAY_POLICY_FILE), { bonusCount = 0, itemised = false } = {}) {
+    const count = validateBonusCount(bonusCount);
+
+    const segments = getRateSegments(rateFile, driverID, period);
+    const breakdown = getProratedBreakdown(segments, actualHours, requiredHours, getPayPolicy(policyFile, period), undefined, count);
+
+    return itemised ? breakdown : breakdown.netPay;
+}
+
+// ============================================================
+// getPayslip(textFile, rateFile, driverID, month, policyFile)
+// textFile: (typeof string) path to shifts text file
+// rateFile: (typeof string) path to driver rates text file
+// driverID: (typeof string)
+// month: (typeof string) formatted as yyyy-mm (or a month number)
+// policyFile: (typeof string) optional, defaults to payPolicy.json next to rateFile
+// Returns: itemised pay breakdown; unlike getNetPay it pays weekend and
+// holiday overtime at their own rates and adds the bonus payout
+// ============================================================
+function getPayslip(textFile, rateFile, driverID, month, policyFile = getSiblingFile(rateFile, PAY_POLICY_FILE)) {
+    const segments = getRateSegments(rateFile, driverID, month);
+    const policy = getPayPolicy(policyFile, month);
+    const holidayFile = getHolidayFile(rateFile);
+
+    // A driver without any shifts has no bonuses rather than "unknown"
+    const bonusCount = Math.max(0, countBonusPerMonth(textFile, driverID, month));
+    const actualHours = getTotalActiveHoursPerMonth(textFile, driverID, month);
+    const requiredHours = getRequiredHoursPerMonth(textFile, rateFile, bonusCount, driverID, month, { holidayFile, policyFile });
+
+    let overtimeByType;
+    if (policy.overtime) {
+        const period = parsePeriod(month);
+        const activeByDate = new Map();
+        const windowRows = readDeliveryWindows(getWindowFile(textFile));
+
+        for (const record of getShiftStore(textFile).query({ driverID, period, spanning: true })) {
+            for (const day of getRecordActiveByDate(record, windowRows)) {
+                if (isInPeriod(day.date, period))
+                    activeByDate.set(day.date, (activeByDate.get(day.date) || 0) + day.activeSeconds);
+            }
+        }
+
+        overtimeByType = getOvertimeByType(activeByDate, parseToSeconds(requiredHours), driverID,
+            readHolidays(holidayFile), policy.overtime.weekendDays);
+    }
+
+    return {
+        period: String(month),
+        driverID,
+        bonusCount,
+        ...getProratedBreakdown(segments, actualHours, requiredHours, policy, overtimeByType, bonusCount),
+        rates: segments.map(({ from, to, basePay, tier, dayOff, share }) => ({ from, to, basePay, tier, dayOff, share }))
+    };
+}
+
+// ============================================================
+// runPayroll(shiftsFile, ratesFile, period, payrollFile)
+// shiftsFile: (typeof string) path to shifts text file
+// ratesFile: (typeof string) path to driver rates text file
+// period: (typeof string) formatted as yyyy-mm (or a month number)
+// payrollFile: (typeof string) optional path to write the payroll as CSV
+// policyFile: (typeof string) optional, defaults to payPolicy.json next to ratesFile
+// Returns: array of payslip objects, one per driver in ratesFile, each with
+// the adjustments for earlier closed periods (see getPeriodAdjustments), their
+// sum as adjustment, and totalPay = netPay + adjustment
+// ============================================================
+const PAYROLL_COLUMNS = [
+    ["Period", "period"],
+    ["DriverID", "driverID"],
+    ["BasePay", "basePay"],
+    ["Tier", "tier"],
+    ["BonusCount", "bonusCount"],
+    ["ActualHours", "actualHours"],
+    ["RequiredHours", "requiredHours"],
+    ["MissingHours", "missingHours"],
+    ["AllowedMissingHours", "allowedMissingHours"],
+    ["DeductionRatePerHour", "deductionRatePerHour"],
+    ["SalaryDeduction", "salaryDeduction"],
+    ["NetPay", "netPay"],
+    ["PolicyVersion", "policyVersion"],
+    ["OvertimeHours", "overtimeHours"],
+    ["OvertimePay", "overtimePay"],
+    ["BonusPayout", "bonusPayout"],
+    ["Adjustment", "adjustment"],
+    ["TotalPay", "totalPay"]
+];
+
+// Helpers
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+function getPayslips(shiftsFile, ratesFile, period, policyFile) {
+    const rateStore = getRateStore(ratesFile);
+
+    if (!rateStore.exists())
+        return [];
+
+    return getPayrollDriverIDs(rateStore, period)
+        .map(driverID => getPayslip(shiftsFile, rateStore, driverID, period, policyFile));
+}
+
+function runPayroll(shiftsFile, ratesFile, period, payrollFile, policyFile = getSiblingFile(ratesFile, PAY_POLICY_FILE)) {
+    const payslips = getPayslips(shiftsFile, ratesFile, period, policyFile);
+    const adjustments = getPeriodAdjustments(shiftsFile, ratesFile, period, policyFile);
+
+    for (const payslip of payslips) {
+        payslip.adjustments = adjustments
+            .filter(adjustment => adjustment.driverID === payslip.driverID)
+            .map(({ period, amount }) => ({ period, amount }));
+        payslip.adjustment = roundCents(payslip.adjustments.reduce((total, adjustment) => total + adjustment.amount, 0));
+        payslip.totalPay = roundCents(payslip.netPay + payslip.adjustment);
+    }
+
+    if (payrollFile)
+        writeCsvRecords(payrollFile, PAYROLL_COLUMNS, payslips);
+
+    return payslips;
+}
+
+// ============================================================
+// getPeriodAdjustments(shiftsFile, ratesFile, period)
+// shiftsFile: (typeof string) path to shifts text file
+// ratesFile: (typeof string) path to driver rates text file
+// period: (typeof string) formatted as yyyy-mm
+// policyFile: (typeof string) optional, defaults to payPolicy.json next to ratesFile
+// Returns: array of { driverID, period, paid, due, amount }, one per driver
+// and earlier closed period whose pay differs from what the data gives now.
+// paid is the stored net pay plus adjustments for it paid in the periods
+// closed since; amount = due - paid is added to (or, when negative,
+// recovered from) the pay of period. A bare month has none.
+// ============================================================
+function getPeriodAdjustments(shiftsFile, ratesFile, period, policyFile = getSiblingFile(ratesFile, PAY_POLICY_FILE)) {
+    const parsed = parsePeriod(period);
+
+    if (parsed.year === null) return [];
+
+    const month = getPeriodStart(parsed).slice(0, 7);
+    const closed = getClosedPeriods(shiftsFile);
+    const adjustments = [];
+
+    // Entries written by hand may have no stored payroll to compare with
+    const earlierPeriods = Object.keys(closed)
+        .filter(earlier => earlier < month && Array.isArray(closed[earlier].payroll))
+        .sort();
+
+    for (const earlier of earlierPeriods) {
+        const paid = new Map();
+        const addPaid = (driverID, amount) => paid.set(driverID, (paid.get(driverID) || 0) + amount);
+
+        closed[earlier].payroll.forEach(payslip => addPaid(payslip.driverID, payslip.netPay));
+
+        for (const [settledIn, entry] of Object.entries(closed)) {
+            if (settledIn <= earlier || settledIn >= month || !Array.isArray(entry.payroll)) continue;
+
+            for (const payslip of entry.payroll) {
+                (payslip.adjustments || [])
+                    .filter(adjustment => adjustment.period === earlier)
+                    .forEach(adjustment => addPaid(payslip.driverID, adjustment.amount));
+            }
+        }
+
+        const due = new Map(getPayslips(shiftsFile, ratesFile, earlier, policyFile)
+            .map(payslip => [payslip.driverID, payslip.netPay]));
+
+        for (const driverID of new Set([...paid.keys(), ...due.keys()])) {
+            const amount = roundCents((due.get(driverID) || 0) - (paid.get(driverID) || 0));
+
+            if (amount !== 0) {
+                adjustments.push({
+                    driverID,
+                    period: earlier,
+                    paid: roundCents(paid.get(driverID) || 0),
+                    due: due.get(driverID) || 0,
+                    amount
+                });
+            }
+        }
+    }
+
+    return adjustments;
+}
+
+// ============================================================
+// closePeriod(shiftsFile, ratesFile, period, options)
+// reopenPeriod(shiftsFile, period, options)
+// shiftsFile: (typeof string) path to shifts text file
+// ratesFile: (typeof string) path to driver rates text file
+// period: (typeof string) formatted as yyyy-mm
+// options: (typeof object) optional { actor } for closePeriod, { actor,
+// reason } for reopenPeriod, where both are required
+// Returns: the period's entry in closedPeriods.json, { status, closedAt,
+// closedBy, payroll, history }; payroll holds the payslips from runPayroll
+// Throws: PeriodClosedError if the period is already closed,
+// UnauthorisedError if the reopen names no actor, or one not in
+// payrollAdmins.txt (or, without that file, not the one who closed it)
+// ============================================================
+
+// Helpers
+function getPeriodMonth(period) {
+    return getPeriodDates(parsePeriod(period))[0].slice(0, 7);
+}
+
+function getPayrollAdmins(shiftsFile, entry) {
+    const adminFile = getSiblingFile(shiftsFile, PAYROLL_ADMINS_FILE);
+
+    if (!fs.existsSync(adminFile)) return [entry.closedBy];
+
+    return fs.readFileSync(adminFile, "utf8").split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function writeClosedPeriods(closedFile, closed) {
+    writeFileAtomic(closedFile, JSON.stringify(closed, null, 2) + "\n");
+}
+
+// A period closed again after a reopen keeps the payroll it was paid with;
+// what changed in the meantime is paid as adjustments in a later period
+function closePeriod(shiftsFile, ratesFile, period, { actor = DEFAULT_ACTOR } = {}) {
+    const month = getPeriodMonth(period);
+    const closedFile = getSiblingFile(shiftsFile, CLOSED_PERIODS_FILE);
+
+    return withFileLock(closedFile, () => {
+        const closed = getClosedPeriods(shiftsFile);
+        const entry = closed[month];
+
+        if (isClosedEntry(entry))
+            throw new PeriodClosedError(`Pay period ${month} is already closed`);
+
+        const closedAt = new Date().toISOString();
+
+        closed[month] = {
+            status: "closed",
+            closedAt,
+            closedBy: actor,
+            payroll: entry && entry.payroll ? entry.payroll : runPayroll(shiftsFile, ratesFile, month),
+            history: [...(entry ? entry.history || [] : []), { action: "close", at: closedAt, by: actor }]
+        };
+
+        writeClosedPeriods(closedFile, closed);
+
+        return closed[month];
+    });
+}
+
+function reopenPeriod(shiftsFile, period, { actor, reason } = {}) {
+    const month = getPeriodMonth(period);
+    const closedFile = getSiblingFile(shiftsFile, CLOSED_PERIODS_FILE);
+
+    // Never the process user: whoever reopens must be named
+    if (typeof actor !== "string" || !actor.trim())
+        throw new UnauthorisedError(`An actor is required to reopen pay period ${month}`);
+
+    if (typeof reason !== "string" || !reason.trim())
+        throw new ShiftTrackerError(`A reason is required to reopen pay period ${month}`);
+
+    return withFileLock(closedFile, () => {
+        const closed = getClosedPeriods(shiftsFile);
+        const entry = closed[month];
+
+        if (!isClosedEntry(entry))
+            throw new ShiftTrackerError(`Pay period ${month} is not closed`);
+
+        if (!getPayrollAdmins(shiftsFile, entry).includes(actor))
+            throw new UnauthorisedError(`${actor} is not allowed to reopen pay period ${month}`);
+
+        closed[month] = {
+            ...entry,
+            status: "reopened",
+            history: [...(entry.history || []), { action: "reopen", at: new Date().toISOString(), by: actor, reason: reason.trim() }]
+        };
+
+        writeClosedPeriods(closedFile, closed);
+
+        return closed[month];
+    });
+}
+
+// ============================================================
+// runBonusRules(textFile, rateFile, month, rules, options)
+// textFile: (typeof string) path to shifts text file
+// rateFile: (typeof string) path to driver rates text file
+// month: (typeof string) formatted as yyyy-mm (or a month number)
+// rules: (typeof object) array of rules, or path to a JSON file holding one
+//        (default: bonusRules.json next to the rates file)
+// options: (typeof object) optional { apply, maxPerDriver, actor }
+// Returns: array of { driverID, date, rules, status } sorted by driver and date;
+// status is suggested, applied, already-granted or over-cap
+// ============================================================
+// Rules:
+//   { "rule": "activeTimeAbove", "threshold": "h:mm:ss" }
+//       a shift with more active time than the threshold
+//   { "rule": "quotaEveryScheduledDay" }
+//       quota met on every scheduled day of a Monday-Sunday week (days in the
+//       month, minus the day off and day-off holidays); granted on the last one
+//   { "rule": "workedOnDayOff" }
+//       a shift on the driver's day off from the rates file
+const BONUS_RULES = {
+    activeTimeAbove: (records, context, rule) => {
+        const threshold = parseToSeconds(rule.threshold);
+
+        return records
+            .filter(record => parseToSeconds(record.activeTime) > threshold)
+            .map(record => record.date);
+    },
+
+    quotaEveryScheduledDay: (records, context) => {
+        const quotaDates = new Set(records.filter(record => record.metQuota).map(record => record.date));
+        const weeks = new Map();
+
+        for (const date of context.dates) {
+            if (!context.getRate(date) || context.isDayOff(date)) continue;
+            if (getDailyMinimum(date, context.driverID, context.holidays) === 0) continue;
+
+            // Monday-based week number
+            const week = Math.floor((toDayNumber(date) + DAYS.thursday - DAYS.monday) / 7);
+
+            if (!weeks.has(week)) weeks.set(week, []);
+            weeks.get(week).push(date);
+        }
+
+        return [...weeks.values()]
+            .filter(dates => dates.every(date => quotaDates.has(date)))
+            .map(dates => dates[dates.length - 1]);
+    },
+
+    workedOnDayOff: (records, context) =>
+        records.filter(record => context.isDayOff(record.date)).map(record => record.date)
+};
+
+function readBonusRules(rules) {
+    if (typeof rules === "string") {
+        try {
+            rules = JSON.parse(fs.readFileSync(rules, "utf8"));
+        } catch (error) {
+            throw new InvalidRuleError(`Cannot read bonus rules: ${error.message}`);
+        }
+    }
+
+    if (!Array.isArray(rules))
+        throw new InvalidRuleError("Bonus rules must be a list");
+
+    for (const rule of rules) {
+        if (!rule || !BONUS_RULES[rule.rule])
+            throw new InvalidRuleError(`Unknown bonus rule "${rule && rule.rule}"`);
+    }
+
+    return rules;
+}
+
+function runBonusRules(textFile, rateFile, month, rules = getSiblingFile(rateFile, BONUS_RULES_FILE), { apply = false, maxPerDriver = Infinity, actor } = {}) {
+    const dates = getPeriodDates(parsePeriod(month));
+
+    rules = readBonusRules(rules);
+
+    // Checked up front so a closed month is never half applied
+    if (apply)
+        assertPeriodOpen(textFile, dates[0]);
+
+    const store = getShiftStore(textFile);
+    const holidays = readHolidays(getHolidayFile(rateFile));
+
+    const report = [];
+
+    for (const driverID of getPayrollDriverIDs(rateFile, month)) {
+        const getRate = getDayRateLookup(rateFile, driverID);
+        const records = store.query({ driverID, period: month });
+
+        const context = {
+            driverID,
+            getRate,
+            isDayOff: date => Boolean(getRate(date)) && getWeekday(date) === DAYS[getRate(date).dayOff],
+            holidays,
+            dates
+        };
+
+        // Several rules may pick the same day; it still earns one bonus
+        const matches = new Map();
+        for (const rule of rules) {
+            for (const date of BONUS_RULES[rule.rule](records, context, rule)) {
+                if (!matches.has(date)) matches.set(date, []);
+                if (!matches.get(date).includes(rule.rule)) matches.get(date).push(rule.rule);
+            }
+        }
+
+        const granted = new Set(records.filter(record => record.hasBonus).map(record => record.date));
+        let bonusCount = granted.size;
+
+        for (const date of [...matches.keys()].sort()) {
+            let status;
+
+            if (granted.has(date)) {
+                status = "already-granted";
+            } else if (bonusCount >= maxPerDriver) {
+                status = "over-cap";
+            } else {
+                bonusCount++;
+                status = apply ? "applied" : "suggested";
+
+                if (apply)
+                    setBonus(textFile, driverID, date, true, actor);
+            }
+
+            report.push({ driverID, date, rules: matches.get(date), status });
+        }
+    }
+
+    return report;
+}
+
+// ============================================================
+// getAttendanceReport(textFile, rateFile, driverID, month)
+// textFile: (typeof string) path to shifts text file
+// rateFile: (typeof string) path to driver rates text file
+// driverID: (typeof string)
+// month: (typeof string) formatted as yyyy-mm
+// holidayFile: (typeof string) optional, defaults to holidays.txt next to rateFile
+// Returns: object { driverID, period, days, summary }; days has one
+// { date, weekday, status, holiday, activeTime, requiredTime, metQuota }
+// per calendar day. status is worked, day-off, holiday, absent or inactive
+// (not on the roster yet, or deactivated); metQuota is null on days without
+// a quota unless they were worked.
+// summary counts the statuses and the days the quota was met.
+// ============================================================
+function getAttendanceReport(textFile, rateFile, driverID, month, holidayFile = getHolidayFile(rateFile)) {
+    const period = parsePeriod(month);
+    const dates = getPeriodDates(period);
+
+    const getRate = getDayRateLookup(rateFile, driverID);
+    const holidays = readHolidays(holidayFile);
+    const windowRows = readDeliveryWindows(getWindowFile(textFile));
+    const store = getShiftStore(textFile);
+
+    const activeByDate = new Map();
+    for (const record of store.exists() ? store.query({ driverID, period, spanning: true }) : []) {
+        for (const day of getRecordActiveByDate(record, windowRows)) {
+            if (isInPeriod(day.date, period))
+                activeByDate.set(day.date, (activeByDate.get(day.date) || 0) + day.activeSeconds);
+        }
+    }
+
+    const weekdays = Object.keys(DAYS);
+
+    const days = dates.map(date => {
+        const holiday = getHolidaysOn(date, driverID, holidays)[0];
+        const rate = getRate(date);
+        const isDayOff = Boolean(rate) && getWeekday(date) === DAYS[rate.dayOff];
+        const requiredSeconds = !rate || isDayOff ? 0 : getDailyMinimum(date, driverID, holidays);
+
+        let status;
+        if (activeByDate.has(date)) status = "worked";
+        else if (!rate) status = "inactive";
+        else if (isDayOff) status = "day-off";
+        else if (requiredSeconds === 0) status = "holiday";
+        else status = "absent";
+
+        const activeSeconds = activeByDate.get(date) || 0;
+
+        return {
+            date,
+            weekday: weekdays[getWeekday(date)],
+            status,
+            holiday: holiday ? holiday.name : null,
+            activeTime: formatToTime(activeSeconds),
+            requiredTime: formatToTime(requiredSeconds),
+            metQuota: status === "worked" || status === "absent" ? activeSeconds >= requiredSeconds : null
+        };
+    });
+
+    const count = status => days.filter(day => day.status === status).length;
+
+    return {
+        driverID,
+        period: dates[0].slice(0, 7),
+        days,
+        summary: {
+            worked: count("worked"),
+            dayOff: count("day-off"),
+            holiday: count("holiday"),
+            absent: count("absent"),
+            inactive: count("inactive"),
+            quotaMet: days.filter(day => day.metQuota === true).length
+        }
+    };
+}
+
+// ============================================================
+// getAnomalyReport(textFile, rateFile, options)
+// textFile: (typeof string) path to shifts text file
+// rateFile: (typeof string) path to driver rates text file
+// options: (typeof object) optional { period, maxShift, maxIdleShare, checks };
+// period limits the scan to a month (m or yyyy-mm), maxShift is a h:mm:ss
+// duration (default MAX_OPEN_SHIFT), maxIdleShare the share of a shift that
+// may be idle (default 0.5) and checks the names of the checks to run
+// (default all)
+// Returns: array of { driverID, driverName, anomalies } for every driver
+// with findings, in file order; anomalies has one { date, startTime, check,
+// message } per finding
+// Throws: InvalidRuleError for an unknown check or a bad maxIdleShare
+// ============================================================
+// Checks, each given the stored record, the record recomputed from its
+// times with today's windows and holidays, and the driver's context:
+//   longShift          the shift is longer than maxShift
+//   mostlyIdle         more than maxIdleShare of the shift is idle
+//   derivedMismatch    the stored shiftDuration, idleTime, activeTime or
+//                      metQuota differs from the recomputation
+//   bonusWithoutQuota  a bonus on a shift that did not meet the quota
+//   dayOff             a shift on the driver's day off from the rates file
+// A shift that can't be recomputed at all is reported as "invalid".
+const ANOMALY_CHECKS = {
+    longShift: (record, computed, context) =>
+        parseToSeconds(computed.shiftDuration) > context.maxShift
+            ? `Shift of ${computed.shiftDuration} is longer than ${formatToTime(context.maxShift)}`
+            : null,
+
+    mostlyIdle: (record, computed, context) => {
+        const share = parseToSeconds(computed.idleTime) / parseToSeconds(computed.shiftDuration);
+
+        return share > context.maxIdleShare
+            ? `${computed.idleTime} of the ${computed.shiftDuration} shift is idle (${Math.round(share * 100)}%)`
+            : null;
+    },
+
+    derivedMismatch: (record, computed) => {
+        const storedSeconds = toResult(parseToSeconds);
+        const differences = ["shiftDuration", "idleTime", "activeTime", "metQuota"]
+            .filter(field => field === "metQuota"
+                ? record.metQuota !== computed.metQuota
+                : storedSeconds(record[field]).value !== parseToSeconds(computed[field]))
+            .map(field => `${field} is ${record[field]}, expected ${computed[field]}`);
+
+        return differences.length > 0 ? `Stored ${differences.join("; ")}` : null;
+    },
+
+    bonusWithoutQuota: (record, computed) =>
+        record.hasBonus && !computed.metQuota
+            ? `Bonus granted but the quota was not met (${computed.activeTime} active)`
+            : null,
+
+    dayOff: (record, computed, context) => {
+        const rate = context.getRate(record.date);
+
+        return rate && getWeekday(record.date) === DAYS[rate.dayOff]
+            ? `Shift on ${rate.dayOff}, the driver's day off`
+            : null;
+    }
+};
+
+function getAnomalyReport(textFile, rateFile, { period, maxShift = MAX_OPEN_SHIFT, maxIdleShare = 0.5, checks = Object.keys(ANOMALY_CHECKS) } = {}) {
+    for (const check of checks) {
+        if (!ANOMALY_CHECKS[check])
+            throw new InvalidRuleError(`Unknown anomaly check "${check}"`);
+    }
+
+    if (typeof maxIdleShare !== "number" || !(maxIdleShare >= 0 && maxIdleShare <= 1))
+        throw new InvalidRuleError(`Invalid maxIdleShare "${maxIdleShare}", expected a number from 0 to 1`);
+
+    // Recomputed without the roster check: a driver who has left since is
+    // not an anomaly in their old shifts
+    const shiftContext = {
+        windowRows: readDeliveryWindows(getWindowFile(textFile)),
+        holidays: readHolidays(getHolidayFile(rateFile))
+    };
+
+    const maxShiftSeconds = parseToSeconds(maxShift);
+    const rateLookups = new Map();
+    const report = new Map();
+
+    // Every shift is recomputed first, as the quota is met by a driver's
+    // total active time per day
+    const records = getShiftStore(textFile).query({ period, spanning: true });
+    const computedShifts = new Map();
+
+    for (const record of records) {
+        try {
+            computedShifts.set(record, buildShiftRecord({
+                driverID: record.driverID,
+                driverName: record.driverName,
+                date: record.date,
+                startTime: record.startTime,
+                endTime: record.endTime,
+                ...(record.breaks ? { breaks: record.breaks } : {})
+            }, shiftContext).record);
+        } catch (error) {
+            if (!(error instanceof ShiftTrackerError)) throw error;
+            computedShifts.set(record, error);
+        }
+    }
+
+    const activeByDriver = new Map();
+    for (const [driverID, driverRecords] of groupByDriver(records)) {
+        const computed = driverRecords.map(record => computedShifts.get(record)).filter(shift => !(shift instanceof Error));
+        activeByDriver.set(driverID, getActiveByDate(computed, shiftContext.windowRows));
+    }
+
+    for (const record of filterShiftRecords(records, { period })) {
+        if (!rateLookups.has(record.driverID)) {
+            try {
+                rateLookups.set(record.driverID, getDayRateLookup(rateFile, record.driverID));
+            } catch (error) {
+                if (!(error instanceof UnknownDriverError)) throw error;
+                rateLookups.set(record.driverID, () => null);
+            }
+        }
+
+        const context = { maxShift: maxShiftSeconds, maxIdleShare, getRate: rateLookups.get(record.driverID) };
+        const findings = [];
+
+        try {
+            const computed = computedShifts.get(record);
+            if (computed instanceof Error) throw computed;
+
+            computed.metQuota = getDailyQuotaFlag(computed, activeByDriver.get(record.driverID), shiftContext);
+
+            for (const check of checks) {
+                const message = ANOMALY_CHECKS[check](record, computed, context);
+                if (message) findings.push({ check, message });
+            }
+        } catch (error) {
+            if (!(error instanceof ShiftTrackerError)) throw error;
+            findings.push({ check: "invalid", message: error.message });
+        }
+
+        if (findings.length === 0) continue;
+
+        if (!report.has(record.driverID))
+            report.set(record.driverID, { driverID: record.driverID, driverName: record.driverName, anomalies: [] });
+
+        report.get(record.driverID).anomalies.push(
+            ...findings.map(finding => ({ date: record.date, startTime: record.startTime, ...finding })));
+    }
+
+    return [...report.values()];
+}
+
+// ============================================================
+// Driver roster
+// addDriver(rateFile, driver, effectiveFrom)
+// updateDriver(rateFile, driverID, changes, effectiveFrom)
+// deactivateDriver(rateFile, driverID, effectiveFrom)
+// listDrivers(rateFile, options)
+// rateFile: (typeof string) path to driver rates text file
+// driver: (typeof object) has driverID, driverName, dayOff, basePay, tier
+// changes: (typeof object) any of driverName, dayOff, basePay, tier
+// effectiveFrom: (typeof string) yyyy-mm-dd the change takes effect; optional
+// for addDriver (in force from the start)
+// options: (typeof object) optional { date, includeInactive }
+// Changes add a new version of the driver's entry rather than editing the
+// old one, so pay for earlier months keeps the values in force then. Only
+// addDriver, or a driverName in changes, needs a name: entries from the old
+// four-column file have none and can still be updated and deactivated.
+// Returns: the driver's entry as of effectiveFrom (listDrivers: the entries
+// in force on date, default today)
+// Throws: DuplicateDriverError, UnknownDriverError, InvalidDriverError,
+// InvalidDayOffError, InvalidTierError
+// ============================================================
+
+// Helpers
+function validateDriverFields(driver, requireName = true) {
+    if (requireName && (typeof driver.driverName !== "string" || !driver.driverName.trim()))
+        throw new InvalidDriverError(`Driver ${driver.driverID} needs a name`);
+
+    if (DAYS[String(driver.dayOff).trim().toLowerCase()] === undefined)
+        throw new InvalidDayOffError(`Invalid day off "${driver.dayOff}" for driver ${driver.driverID}, expected one of ${Object.keys(DAYS).join(", ")}`);
+
+    const basePay = Number(driver.basePay);
+    if (!Number.isFinite(basePay) || basePay <= 0)
+        throw new InvalidDriverError(`Invalid salary "${driver.basePay}" for driver ${driver.driverID}, expected a positive number`);
+
+    const tier = Number(driver.tier);
+    if (!Number.isInteger(tier) || tier < 1)
+        throw new InvalidTierError(`Invalid tier "${driver.tier}" for driver ${driver.driverID}`);
+}
+
+function toRateRow(driver, effectiveFrom, status) {
+    return {
+        driverID: driver.driverID,
+        dayOff: String(driver.dayOff).trim(),
+        basePay: String(Number(driver.basePay)),
+        tier: String(Number(driver.tier)),
+        driverName: (driver.driverName || "").trim(),
+        effectiveFrom: effectiveFrom || "",
+        status
+    };
+}
+
+// Adds a version of an existing driver's entry carrying changes; the
+// status carries over unless given
+function addDriverVersion(rateFile, driverID, changes, effectiveFrom, status) {
+    validateDate(effectiveFrom);
+
+    const store = getRateStore(rateFile);
+    const current = store.find(driverID, effectiveFrom);
+
+    if (!current)
+        throw new UnknownDriverError(`Unknown driver "${driverID}" in ${store.filePath} on ${effectiveFrom}`);
+
+    const driver = { ...current, ...changes, driverID };
+    validateDriverFields(driver, "driverName" in changes);
+
+    store.insert(toRateRow(driver, effectiveFrom, status || current.status || "active"));
+
+    return getDriverRate(store, driverID, effectiveFrom);
+}
+
+function addDriver(rateFile, driver, effectiveFrom) {
+    if (!driver || typeof driver.driverID !== "string" || !driver.driverID.trim())
+        throw new InvalidDriverError("Driver is missing a driverID");
+
+    if (effectiveFrom !== undefined)
+        validateDate(effectiveFrom);
+
+    validateDriverFields(driver);
+
+    const store = getRateStore(rateFile);
+    const driverID = driver.driverID.trim();
+
+    if (store.all().some(rate => rate.driverID === driverID))
+        throw new DuplicateDriverError(`Driver ${driverID} is already in ${store.filePath}`);
+
+    store.insert(toRateRow({ ...driver, driverID }, effectiveFrom, "active"));
+
+    return getDriverRate(store, driverID, effectiveFrom);
+}
+
+function updateDriver(rateFile, driverID, changes, effectiveFrom) {
+    const allowed = ["driverName", "dayOff", "basePay", "tier"];
+    const unknown = Object.keys(changes || {}).filter(key => !allowed.includes(key));
+
+    if (!changes || unknown.length > 0)
+        throw new InvalidDriverError(`Only ${allowed.join(", ")} can be updated${unknown.length ? `, not ${unknown.join(", ")}` : ""}`);
+
+    return addDriverVersion(rateFile, driverID, changes, effectiveFrom);
+}
+
+function deactivateDriver(rateFile, driverID, effectiveFrom) {
+    return addDriverVersion(rateFile, driverID, {}, effectiveFrom, "inactive");
+}
+
+function listDrivers(rateFile, { date = getToday(), includeInactive = false } = {}) {
+    const store = getRateStore(rateFile);
+    const driverIDs = [...new Set(store.all().map(rate => rate.driverID))];
+
+    return driverIDs
+        .filter(driverID => store.find(driverID, date))
+        .map(driverID => getDriverRate(store, driverID, date))
+        .filter(driver => includeInactive || driver.active);
+}
+
+// ============================================================
+// getChangeHistory(textFile, driverID)
+// textFile: (typeof string) path to shifts text file
+// driverID: (typeof string)
+// Returns: array of audit entries for the driver, oldest first
+// ============================================================
+function getChangeHistory(textFile, driverID) {
+    return readAudit(textFile).filter(entry => entry.driverID === driverID);
+}
+
+// ============================================================
+// getShiftsAt(textFile, timestamp, outputFile)
+// textFile: (typeof string) path to shifts text file
+// timestamp: (typeof string) ISO date-time, e.g. 2025-04-30T18:00:00Z
+// outputFile: (typeof string) optional path to write the records as CSV
+// Returns: array of shift records as they were at that moment
+// ============================================================
+function getShiftsAt(textFile, timestamp, outputFile) {
+    const at = Date.parse(timestamp);
+
+    if (isNaN(at))
+        throw new InvalidDateError(`Invalid timestamp "${timestamp}"`);
+
+    // Start from the current records and undo every later change, newest
+    // first, so records written before auditing began are kept as well
+    let records = getShiftStore(textFile).all();
+    const later = readAudit(textFile).filter(entry => Date.parse(entry.timestamp) > at);
+
+    for (const entry of later.reverse()) {
+        const index = entry.after
+            ? records.findIndex(record => shiftKey(record) === shiftKey(entry.after))
+            : -1;
+
+        if (index !== -1)
+            records.splice(index, 1);
+
+        if (entry.before) {
+            if (index !== -1)
+                records.splice(index, 0, entry.before);
+            else
+                records = insertGrouped(records, [entry.before]);
+        }
+    }
+
+    if (outputFile)
+        writeShiftRecords(outputFile, records);
+
+    return records;
+}
+
+// ============================================================
+// Non-throwing variants
+// Each function in `safe` returns { ok: true, value } on success or
+// { ok: false, error } when the original throws a ShiftTrackerError
+// ============================================================
+function toResult(fn) {
+    return (...args) => {
+        try {
+            return { ok: true, value: fn(...args) };
+        } catch (error) {
+            if (!(error instanceof ShiftTrackerError))
+                throw error;
+
+            return { ok: false, error };
+        }
+    };
+}
+
+const safe = {
+    getShiftDuration: toResult(getShiftDuration),
+    getIdleTime: toResult(getIdleTime),
+    getActiveTime: toResult(getActiveTime),
+    metQuota: toResult(metQuota),
+    addShiftRecord: toResult(addShiftRecord),
+    setBonus: toResult(setBonus),
+    countBonusPerMonth: toResult(countBonusPerMonth),
+    getTotalActiveHoursPerMonth: toResult(getTotalActiveHoursPerMonth),
+    getRequiredHoursPerMonth: toResult(getRequiredHoursPerMonth),
+    getNetPay: toResult(getNetPay),
+    runPayroll: toResult(runPayroll),
+    getPayslip: toResult(getPayslip),
+    getPeriodAdjustments: toResult(getPeriodAdjustments),
+    closePeriod: toResult(closePeriod),
+    reopenPeriod: toResult(reopenPeriod),
+    importShifts: toResult(importShifts),
+    updateShiftRecord: toResult(updateShiftRecord),
+    deleteShiftRecord: toResult(deleteShiftRecord),
+    clockIn: toResult(clockIn),
+    clockOut: toResult(clockOut),
+    getDriversOnShift: toResult(getDriversOnShift),
+    runBonusRules: toResult(runBonusRules),
+    addDriver: toResult(addDriver),
+    updateDriver: toResult(updateDriver),
+    deactivateDriver: toResult(deactivateDriver),
+    getAttendanceReport: toResult(getAttendanceReport),
+    getAnomalyReport: toResult(getAnomalyReport),
+    getShiftsAt: toResult(getShiftsAt)
+};
 
 module.exports = {
     getShiftDuration,
@@ -470,8 +3405,54 @@ module.exports = {
     metQuota,
     addShiftRecord,
     setBonus,
+    importShifts,
+    updateShiftRecord,
+    deleteShiftRecord,
+    clockIn,
+    clockOut,
+    getDriversOnShift,
     countBonusPerMonth,
     getTotalActiveHoursPerMonth,
     getRequiredHoursPerMonth,
-    getNetPay
+    getNetPay,
+    runPayroll,
+    getPayslip,
+    getPeriodAdjustments,
+    closePeriod,
+    reopenPeriod,
+    runBonusRules,
+    getAttendanceReport,
+    getAnomalyReport,
+    addDriver,
+    updateDriver,
+    deactivateDriver,
+    listDrivers,
+    getChangeHistory,
+    getShiftsAt,
+    getDriverRate,
+    getShiftStore,
+    getRateStore,
+    TextShiftStore,
+    JsonLinesShiftStore,
+    TextRateStore,
+    JsonLinesRateStore,
+    safe,
+    ShiftTrackerError,
+    InvalidTimeError,
+    InvalidDateError,
+    InvalidShiftError,
+    UnknownDriverError,
+    InvalidTierError,
+    InvalidDayOffError,
+    DuplicateShiftError,
+    ConflictError,
+    LockTimeoutError,
+    InvalidPolicyError,
+    InvalidRuleError,
+    InvalidDriverError,
+    DuplicateDriverError,
+    ShiftNotFoundError,
+    PeriodClosedError,
+    UnauthorisedError,
+    InvalidBonusCountError
 };
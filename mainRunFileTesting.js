@@ -8,7 +8,8 @@ const {
     countBonusPerMonth,
     getTotalActiveHoursPerMonth,
     getRequiredHoursPerMonth,
-    getNetPay
+    getNetPay,
+    safe
 } = require("./main.js");
 
 // don't remove the above code
@@ -81,11 +82,13 @@ let shiftObj = {
 };
 
 let textFile = "./shifts.txt";
-let resultObj = addShiftRecord(textFile, shiftObj);
-console.log("addShiftRecord output case 1", resultObj);
+// safe.addShiftRecord returns { ok, value } or { ok: false, error } instead
+// of throwing, so running this file twice doesn't stop at the duplicate
+let resultObj = safe.addShiftRecord(textFile, shiftObj);
+console.log("addShiftRecord output case 1", resultObj.ok ? resultObj.value : `${resultObj.error.name}: ${resultObj.error.message}`);
 
-resultObj = addShiftRecord(textFile, shiftObj);
-console.log("addShiftRecord output case 2", resultObj);
+resultObj = safe.addShiftRecord(textFile, shiftObj);
+console.log("addShiftRecord output case 2", resultObj.ok ? resultObj.value : `${resultObj.error.name}: ${resultObj.error.message}`);
 
 // ===================== Test setBonus =====================
 textFile = "./shifts.txt";
@@ -5,11 +5,50 @@ const {
     metQuota,
     addShiftRecord,
     setBonus,
+    importShifts,
+    updateShiftRecord,
+    deleteShiftRecord,
+    clockIn,
+    clockOut,
+    getDriversOnShift,
     countBonusPerMonth,
     getTotalActiveHoursPerMonth,
     getRequiredHoursPerMonth,
-    getNetPay
+    getNetPay,
+    runPayroll,
+    getPayslip,
+    getPeriodAdjustments,
+    closePeriod,
+    reopenPeriod,
+    runBonusRules,
+    getAttendanceReport,
+    getAnomalyReport,
+    addDriver,
+    updateDriver,
+    deactivateDriver,
+    listDrivers,
+    getDriverRate,
+    getChangeHistory,
+    getShiftsAt,
+    getShiftStore,
+    getRateStore,
+    safe,
+    InvalidTimeError,
+    InvalidDateError,
+    InvalidShiftError,
+    UnknownDriverError,
+    DuplicateShiftError,
+    ConflictError,
+    InvalidDayOffError,
+    InvalidDriverError,
+    DuplicateDriverError,
+    ShiftNotFoundError,
+    PeriodClosedError,
+    UnauthorisedError,
+    InvalidBonusCountError
 } = require("./main.js");
+const { handleRequest } = require("./server.js");
+const { main: runCli, EXIT } = require("./cli.js");
 
 const fs = require("fs");
 
@@ -43,6 +82,7 @@ console.log("--- getShiftDuration ---");
 test("getShiftDuration('6:01:20 am', '4:13:40 pm')", getShiftDuration("6:01:20 am", "4:13:40 pm"), "10:12:20");
 test("getShiftDuration('7:30:00 am', '8:42:50 am')", getShiftDuration("7:30:00 am", "8:42:50 am"), "1:12:50");
 test("getShiftDuration('1:00:00 pm', '9:30:00 pm')", getShiftDuration("1:00:00 pm", "9:30:00 pm"), "8:30:00");
+test("getShiftDuration multi-day", getShiftDuration("2025-04-20 10:00:00 pm", "2025-04-22 6:00:00 am"), "32:00:00");
 console.log();
 
 // ==================== getIdleTime ====================
@@ -66,6 +106,15 @@ test("metQuota('2025-04-15', '6:50:00') [special period]", metQuota("2025-04-15"
 // Normal day, quota is 8h24m
 test("metQuota('2025-04-05', '7:42:59') [normal day]", metQuota("2025-04-05", "7:42:59"), false);
 test("metQuota('2025-04-05', '9:00:00') [normal day]", metQuota("2025-04-05", "9:00:00"), true);
+// Holiday calendar: a day-off holiday needs no active time, optionally only for listed drivers
+test("metQuota holiday day off", metQuota("2025-04-25", "0:00:00", "D1001", "./PublicTestFiles/holidaysPublic.txt"), true);
+test("metQuota driver-specific holiday", metQuota("2025-04-07", "0:00:00", "D1001", "./PublicTestFiles/holidaysPublic.txt"), false);
+let holidayDir = fs.mkdtempSync("./holidays-");
+fs.writeFileSync(`${holidayDir}/short.txt`, "Name,StartDate,EndDate,DailyMinimum,Drivers\nBank holiday,2025-05-01");
+fs.writeFileSync(`${holidayDir}/dates.txt`, "Name,StartDate,EndDate,DailyMinimum,Drivers\nBank holiday,2025-4-1,2025-04-02,off,");
+test("metQuota rejects a malformed holiday file", [`${holidayDir}/short.txt`, `${holidayDir}/dates.txt`].map(file =>
+    safe.metQuota("2025-04-01", "9:00:00", "D1001", file).error instanceof InvalidDateError), [true, true]);
+fs.rmSync(holidayDir, { recursive: true });
 console.log();
 
 // ==================== addShiftRecord ====================
@@ -82,9 +131,28 @@ let addResult = addShiftRecord("./shifts.txt", shiftObj);
 test("addShiftRecord new record returns object with 10 props", Object.keys(addResult).length, 10);
 test("addShiftRecord new record driverID", addResult.driverID, "D1001");
 test("addShiftRecord new record hasBonus default", addResult.hasBonus, false);
-// Adding duplicate should return empty object
-let addResult2 = addShiftRecord("./shifts.txt", shiftObj);
-test("addShiftRecord duplicate returns {}", JSON.stringify(addResult2), "{}");
+let shiftLines = fs.readFileSync("./shifts.txt", { encoding: 'utf8' }).split("\n");
+test("addShiftRecord keeps the header row", shiftLines[0].startsWith("DriverID,DriverName,Date"), true);
+test("addShiftRecord keeps existing false flags", shiftLines[1].endsWith("true,false"), true);
+// Adding duplicate should fail with DuplicateShiftError
+let addResult2 = safe.addShiftRecord("./shifts.txt", shiftObj);
+test("addShiftRecord duplicate throws DuplicateShiftError", addResult2.error instanceof DuplicateShiftError, true);
+let overlapResult = safe.addShiftRecord("./shifts.txt", { ...shiftObj, startTime: "7:00:00 pm", endTime: "9:00:00 pm" });
+test("addShiftRecord overlapping shift throws DuplicateShiftError", overlapResult.error instanceof DuplicateShiftError, true);
+let overnightResult = addShiftRecord("./shifts.txt", {
+    driverID: "D1002",
+    driverName: "Sara Mohamed",
+    date: "2025-04-30",
+    startTime: "6:00:00 pm",
+    endTime: "3:00:00 pm",
+    endDate: "2025-05-01"
+});
+test("addShiftRecord multi-day stores full end timestamp", overnightResult.endTime, "2025-05-01 3:00:00 pm");
+addShiftRecord("./shifts.txt", { driverID: "D1004", driverName: "Hassan, Ahmed", date: "2025-04-09", startTime: "8:00:00 am", endTime: "5:00:00 pm" });
+test("addShiftRecord quotes names containing commas", fs.readFileSync("./shifts.txt", { encoding: 'utf8' }).includes('D1004,"Hassan, Ahmed",2025-04-09'), true);
+test("getTotalActiveHoursPerMonth reads quoted names", getTotalActiveHoursPerMonth("./shifts.txt", "D1004", 4), "9:00:00");
+test("getTotalActiveHoursPerMonth splits multi-day shift", getTotalActiveHoursPerMonth("./shifts.txt", "D1002", 5), "7:00:00");
+test("getTotalActiveHoursPerMonth splits multi-day shift for a yyyy-mm period", getTotalActiveHoursPerMonth("./shifts.txt", "D1002", "2025-05"), "7:00:00");
 console.log();
 
 // ==================== setBonus ====================
@@ -108,6 +176,17 @@ console.log();
 console.log("--- getTotalActiveHoursPerMonth ---");
 resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
 test("getTotalActiveHoursPerMonth('D1001', 4)", getTotalActiveHoursPerMonth("./shifts.txt", "D1001", 4), "33:30:00");
+addShiftRecord("./shifts.txt", {
+    driverID: "D1001",
+    driverName: "Ahmed Hassan",
+    date: "2026-04-06",
+    startTime: "8:00:00 am",
+    endTime: "4:00:00 pm"
+});
+test("getTotalActiveHoursPerMonth('D1001', '2025-04')", getTotalActiveHoursPerMonth("./shifts.txt", "D1001", "2025-04"), "33:30:00");
+test("getTotalActiveHoursPerMonth('D1001', '2026-04')", getTotalActiveHoursPerMonth("./shifts.txt", "D1001", "2026-04"), "8:00:00");
+test("getTotalActiveHoursPerMonth('D1001', 4) spans years", getTotalActiveHoursPerMonth("./shifts.txt", "D1001", 4), "41:30:00");
+test("countBonusPerMonth('D1001', '2026-04')", countBonusPerMonth("./shifts.txt", "D1001", "2026-04"), 0);
 console.log();
 
 // ==================== getRequiredHoursPerMonth ====================
@@ -116,6 +195,7 @@ resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
 test("getRequiredHoursPerMonth('D1001', Apr, bonus=1)", getRequiredHoursPerMonth("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", 1, "D1001", 4), "26:48:00");
 resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
 test("getRequiredHoursPerMonth('D1003', Apr, bonus=0)", getRequiredHoursPerMonth("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", 0, "D1003", 4), "16:48:00");
+test("getRequiredHoursPerMonth('D1003', Apr, holiday calendar)", getRequiredHoursPerMonth("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", 0, "D1003", 4, { holidayFile: "./PublicTestFiles/holidaysPublic.txt" }), "8:24:00");
 console.log();
 
 // ==================== getNetPay ====================
@@ -123,6 +203,506 @@ console.log("--- getNetPay ---");
 test("getNetPay D1001 with deduction", getNetPay("D1001", "146:20:00", "168:00:00", "./PublicTestFiles/driverRatesPublic.txt"), 29838);
 test("getNetPay D1001 no deduction", getNetPay("D1001", "170:00:00", "168:00:00", "./PublicTestFiles/driverRatesPublic.txt"), 30000);
 test("getNetPay D1001 within allowed", getNetPay("D1001", "150:00:00", "168:00:00", "./PublicTestFiles/driverRatesPublic.txt"), 30000);
+// Pay policy: the policy in force for the paid month applies
+test("getNetPay uses the 2025-H1 policy for April", getNetPay("D1001", "146:20:00", "168:00:00", "./PublicTestFiles/driverRatesPublic.txt", "2025-04", "./PublicTestFiles/payPolicyPublic.json"), 29838);
+test("getNetPay uses the 2025-H2 policy for August", getNetPay("D1001", "146:20:00", "168:00:00", "./PublicTestFiles/driverRatesPublic.txt", "2025-08", "./PublicTestFiles/payPolicyPublic.json"), 28838);
+console.log();
+
+// ==================== getPayslip ====================
+console.log("--- getPayslip ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+addShiftRecord("./shifts.txt", { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-08-04", startTime: "8:00:00 am", endTime: "6:00:00 pm" });
+addShiftRecord("./shifts.txt", { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-08-08", startTime: "8:00:00 am", endTime: "2:00:00 pm" });
+setBonus("./shifts.txt", "D1001", "2025-08-08", true);
+let payslip = getPayslip("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "D1001", "2025-08", "./PublicTestFiles/payPolicyPublic.json");
+test("getPayslip itemises overtime and bonus payout", payslip.items, [
+    { item: "Base pay", amount: 30000 },
+    { item: "Overtime", amount: 1145 },
+    { item: "Weekend overtime", amount: 1992 },
+    { item: "Bonus payout", amount: 250 }
+]);
+test("getPayslip net pay adds up the items", payslip.netPay, 33387);
+test("getPayslip without overtime policy pays base only", getPayslip("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "D1001", "2025-04", "./PublicTestFiles/payPolicyPublic.json").netPay, 30000);
+console.log();
+
+// ==================== Input validation ====================
+console.log("--- Input validation ---");
+test("getShiftDuration rejects '25:99'", safe.getShiftDuration("25:99", "4:13:40 pm").error instanceof InvalidTimeError, true);
+test("metQuota rejects '2025-02-30'", safe.metQuota("2025-02-30", "9:00:00").error instanceof InvalidDateError, true);
+test("getNetPay rejects unknown driver", safe.getNetPay("D9999", "150:00:00", "168:00:00", "./PublicTestFiles/driverRatesPublic.txt").error instanceof UnknownDriverError, true);
+test("getNetPay rejects a missing rates file", safe.getNetPay("D1001", "150:00:00", "168:00:00", "./PublicTestFiles/missingRates.txt").error instanceof UnknownDriverError, true);
+test("setBonus rejects unknown driver", safe.setBonus("./shifts.txt", "D9999", "2025-04-05", true).error instanceof UnknownDriverError, true);
+test("setBonus rejects a date without a shift", safe.setBonus("./shifts.txt", "D1002", "2025-04-30", true).error instanceof ShiftNotFoundError, true);
+test("getRequiredHoursPerMonth rejects bonus count 'abc'", safe.getRequiredHoursPerMonth("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "abc", "D1001", 4).error instanceof InvalidBonusCountError, true);
+test("getRequiredHoursPerMonth rejects bonus counts -1 and 1.5", [-1, 1.5].map(count =>
+    safe.getRequiredHoursPerMonth("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", count, "D1001", 4).error instanceof InvalidBonusCountError), [true, true]);
+test("safe variant returns value on success", safe.getActiveTime("9:30:00", "0:30:00"), { ok: true, value: "9:00:00" });
+console.log();
+
+// ==================== runPayroll ====================
+console.log("--- runPayroll ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+let payslips = runPayroll("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "2025-04", "./payroll.csv");
+test("runPayroll one payslip per driver", payslips.map(p => p.driverID), ["D1001", "D1002", "D1003", "D1004"]);
+test("runPayroll D1001 payslip", [payslips[0].bonusCount, payslips[0].requiredHours, payslips[0].netPay], [1, "26:48:00", 30000]);
+let payrollLines = fs.readFileSync("./payroll.csv", { encoding: 'utf8' }).split("\n");
+test("runPayroll writes CSV with header", [payrollLines.length, payrollLines[1]], [5, "2025-04,D1001,30000,2,1,33:30:00,26:48:00,0:00:00,20,162,0,30000,default,0:00:00,0,0,0,30000"]);
+fs.unlinkSync("./payroll.csv");
+console.log();
+
+// ==================== Safe writes ====================
+console.log("--- Safe writes ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+let shiftStore = getShiftStore("./shifts.txt");
+let staleVersion = shiftStore.version();
+setBonus("./shifts.txt", "D1002", "2025-04-05", true);
+let staleInsert = safe.addShiftRecord(shiftStore, { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-04-20", startTime: "8:00:00 am", endTime: "4:00:00 pm" });
+test("addShiftRecord succeeds after an earlier write", staleInsert.ok, true);
+let conflict = (() => { try { shiftStore.insert({ ...staleInsert.value, date: "2025-04-21" }, { expectedVersion: staleVersion }); } catch (error) { return error; } })();
+test("insert with a stale version throws ConflictError", conflict instanceof ConflictError, true);
+test("no lock or temp files are left behind", fs.readdirSync(".").filter(f => /\.(lock|tmp)$/.test(f)), []);
+console.log();
+
+// ==================== Storage backends ====================
+console.log("--- Storage backends ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+fs.writeFileSync("./shifts.jsonl", getShiftStore("./shifts.txt").all().map(r => JSON.stringify(r) + "\n").join(""));
+fs.writeFileSync("./driverRates.jsonl", getRateStore("./PublicTestFiles/driverRatesPublic.txt").all().map(r => JSON.stringify(r) + "\n").join(""));
+test("JSON-lines store gives the same payroll",
+    runPayroll("./shifts.jsonl", "./driverRates.jsonl", "2025-04", undefined, "./PublicTestFiles/payPolicyPublic.json"),
+    runPayroll("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "2025-04", undefined, "./PublicTestFiles/payPolicyPublic.json"));
+setBonus("./shifts.jsonl", "D1002", "2025-04-05", true);
+test("JSON-lines setBonus appends instead of rewriting", fs.readFileSync("./shifts.jsonl", { encoding: 'utf8' }).trim().split("\n").length, 10);
+test("JSON-lines countBonusPerMonth sees the update", countBonusPerMonth("./shifts.jsonl", "D1002", "2025-04"), 1);
+addShiftRecord("./shifts.jsonl", { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-04-20", startTime: "8:00:00 am", endTime: "4:00:00 pm" });
+test("JSON-lines addShiftRecord", getTotalActiveHoursPerMonth("./shifts.jsonl", "D1002", "2025-04"), "31:00:00");
+fs.unlinkSync("./shifts.jsonl");
+fs.unlinkSync("./shifts.jsonl.audit.jsonl");
+fs.unlinkSync("./driverRates.jsonl");
+console.log();
+
+// ==================== Audit trail ====================
+console.log("--- Audit trail ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+fs.rmSync("./shifts.txt.audit.jsonl", { force: true });
+setBonus("./shifts.txt", "D1002", "2025-04-05", true, "dispatcher1");
+addShiftRecord("./shifts.txt", { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-04-20", startTime: "8:00:00 am", endTime: "4:00:00 pm" }, "dispatcher2");
+let history = getChangeHistory("./shifts.txt", "D1002");
+test("getChangeHistory lists operations and actors", history.map(e => [e.operation, e.actor]), [["update", "dispatcher1"], ["insert", "dispatcher2"]]);
+test("getChangeHistory keeps before/after values", [history[0].before.hasBonus, history[0].after.hasBonus], [false, true]);
+test("getShiftsAt rebuilds the original records", getShiftsAt("./shifts.txt", "2000-01-01T00:00:00Z"), getShiftStore("./PublicTestFiles/shiftsPublic.txt").all());
+fs.writeFileSync("./shifts.jsonl", getShiftStore("./PublicTestFiles/shiftsPublic.txt").all().map(r => JSON.stringify(r) + "\n").join(""));
+setBonus("./shifts.jsonl", "D1001", "2025-04-05", true, "dispatcher3");
+test("shifts.txt and shifts.jsonl keep separate audit logs",
+    [getChangeHistory("./shifts.txt", "D1001").length, getChangeHistory("./shifts.jsonl", "D1001").map(e => e.actor)], [0, ["dispatcher3"]]);
+fs.unlinkSync("./shifts.jsonl");
+fs.unlinkSync("./shifts.jsonl.audit.jsonl");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+fs.rmSync("./shifts.txt.audit.jsonl", { force: true });
+console.log();
+
+// ==================== Bonus rules ====================
+console.log("--- Bonus rules ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+["2025-04-28", "2025-04-29", "2025-04-30"].forEach(date =>
+    addShiftRecord("./shifts.txt", { driverID: "D1001", driverName: "Ahmed Hassan", date, startTime: "8:00:00 am", endTime: "4:00:00 pm" }));
+let bonusRules = [{ rule: "activeTimeAbove", threshold: "8:45:00" }, { rule: "quotaEveryScheduledDay" }, { rule: "workedOnDayOff" }];
+let bonusReport = runBonusRules("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "2025-04", bonusRules, { maxPerDriver: 2 });
+test("runBonusRules dry run report", bonusReport.filter(r => r.driverID !== "D1003").map(r => [r.driverID, r.date, r.rules.join(" "), r.status]), [
+    ["D1001", "2025-04-05", "activeTimeAbove", "suggested"],
+    ["D1001", "2025-04-12", "activeTimeAbove", "already-granted"],
+    ["D1001", "2025-04-30", "quotaEveryScheduledDay", "over-cap"],
+    ["D1002", "2025-04-05", "activeTimeAbove workedOnDayOff", "suggested"]]);
+test("runBonusRules dry run writes nothing", countBonusPerMonth("./shifts.txt", "D1002", "2025-04"), 0);
+runBonusRules("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "2025-04", bonusRules, { apply: true, maxPerDriver: 2 });
+test("runBonusRules applies up to the cap", [countBonusPerMonth("./shifts.txt", "D1001", "2025-04"), countBonusPerMonth("./shifts.txt", "D1002", "2025-04")], [2, 1]);
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+fs.rmSync("./shifts.txt.audit.jsonl", { force: true });
+console.log();
+
+// ==================== Delivery windows ====================
+console.log("--- Delivery windows ---");
+const windowFile = "./PublicTestFiles/deliveryWindowsPublic.txt";
+test("getIdleTime shorter Friday window", getIdleTime("9:00:00 am", "5:00:00 pm", "2025-04-25", "D1001", windowFile), "4:00:00");
+test("getIdleTime lunch break for a driver group", getIdleTime("9:00:00 am", "5:00:00 pm", "2025-04-15", "D1002", windowFile), "1:00:00");
+test("getIdleTime night shift across midnight", getIdleTime("8:00:00 pm", "4:00:00 am", "2025-04-25", "D1004", windowFile), "0:00:00");
+test("getIdleTime without a date uses all-week windows", getIdleTime("9:00:00 am", "5:00:00 pm", undefined, undefined, windowFile), "0:00:00");
+let windowDir = fs.mkdtempSync("./windows-");
+fs.copyFileSync(windowFile, `${windowDir}/deliveryWindows.txt`);
+let fridayShift = addShiftRecord(`${windowDir}/shifts.txt`, { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-04-25", startTime: "9:00:00 am", endTime: "5:00:00 pm" });
+test("addShiftRecord uses the windows next to the shifts file", [fridayShift.idleTime, fridayShift.activeTime], ["4:00:00", "4:00:00"]);
+fs.rmSync(windowDir, { recursive: true });
+console.log();
+
+// ==================== Breaks ====================
+console.log("--- Breaks ---");
+test("getActiveTime subtracts break time", getActiveTime("11:00:00", "2:00:00", "1:00:00"), "8:00:00");
+let breakDir = fs.mkdtempSync("./breaks-");
+let breakShift = addShiftRecord(`${breakDir}/shifts.txt`, { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-05-05", startTime: "6:00:00 am", endTime: "5:00:00 pm",
+    breaks: [{ start: "7:00:00 am", end: "8:30:00 am" }, { start: "12:00:00 pm", end: "1:00:00 pm" }] });
+test("addShiftRecord subtracts breaks within delivery hours", [breakShift.idleTime, breakShift.activeTime, breakShift.metQuota], ["2:00:00", "7:30:00", false]);
+test("breaks are stored with the shift", getShiftStore(`${breakDir}/shifts.txt`).all()[0].breaks, breakShift.breaks);
+addShiftRecord(`${breakDir}/shifts.txt`, { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-05-06", startTime: "8:00:00 pm", endTime: "9:00:00 am",
+    breaks: [{ start: "9:00:00 pm", end: "9:30:00 pm" }, { start: "8:00:00 am", end: "8:30:00 am" }] });
+test("monthly total uses the reduced active time", getTotalActiveHoursPerMonth(`${breakDir}/shifts.txt`, "D1001", "2025-05"), "9:30:00");
+let outsideBreak = safe.addShiftRecord(`${breakDir}/shifts.txt`, { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-05-05", startTime: "9:00:00 am", endTime: "5:00:00 pm", breaks: [{ start: "8:00:00 am", end: "9:30:00 am" }] });
+let overlappingBreaks = safe.addShiftRecord(`${breakDir}/shifts.txt`, { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-05-05", startTime: "9:00:00 am", endTime: "5:00:00 pm",
+    breaks: [{ start: "10:00:00 am", end: "11:00:00 am" }, { start: "10:30:00 am", end: "11:30:00 am" }] });
+test("breaks outside the shift or overlapping are rejected", [outsideBreak.error instanceof InvalidShiftError, overlappingBreaks.error instanceof InvalidShiftError], [true, true]);
+fs.rmSync(breakDir, { recursive: true });
+console.log();
+
+// ==================== Attendance ====================
+console.log("--- Attendance ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+let attendance = getAttendanceReport("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "D1001", "2025-04", "./PublicTestFiles/holidaysPublic.txt");
+test("getAttendanceReport one row per calendar day", attendance.days.length, 30);
+test("getAttendanceReport day statuses", ["2025-04-04", "2025-04-05", "2025-04-07", "2025-04-25"].map(date => {
+    const day = attendance.days.find(d => d.date === date);
+    return [day.status, day.metQuota];
+}), [["day-off", null], ["worked", true], ["absent", false], ["day-off", null]]);
+test("getAttendanceReport summary", attendance.summary, { worked: 4, dayOff: 4, holiday: 0, absent: 22, inactive: 0, quotaMet: 4 });
+test("getAttendanceReport holiday off day", getAttendanceReport("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "D1003", "2025-04", "./PublicTestFiles/holidaysPublic.txt").days[24].status, "holiday");
+test("getRequiredHoursPerMonth counting all scheduled days",
+    getRequiredHoursPerMonth("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", 0, "D1001", "2025-04", { holidayFile: "./PublicTestFiles/holidaysPublic.txt", allScheduledDays: true }), "175:12:00");
+console.log();
+
+// ==================== Driver roster ====================
+console.log("--- Driver roster ---");
+let rosterDir = fs.mkdtempSync("./roster-");
+let rosterFile = `${rosterDir}/driverRates.txt`;
+fs.copyFileSync("./PublicTestFiles/driverRatesPublic.txt", rosterFile);
+addDriver(rosterFile, { driverID: "D1005", driverName: "Mona Adel", dayOff: "Sunday", basePay: 20000, tier: 3 });
+test("addDriver adds to the roster", listDrivers(rosterFile).map(d => d.driverID), ["D1001", "D1002", "D1003", "D1004", "D1005"]);
+test("addDriver rejects invalid entries", [
+    safe.addDriver(rosterFile, { driverID: "D1005", driverName: "Mona Adel", dayOff: "Sunday", basePay: 20000, tier: 3 }).error instanceof DuplicateDriverError,
+    safe.addDriver(rosterFile, { driverID: "D1006", driverName: "Karim Samy", dayOff: "Funday", basePay: 20000, tier: 3 }).error instanceof InvalidDayOffError,
+    safe.addDriver(rosterFile, { driverID: "D1006", driverName: "Karim Samy", dayOff: "Monday", basePay: -5, tier: 3 }).error instanceof InvalidDriverError], [true, true, true]);
+updateDriver(rosterFile, "D1005", { basePay: 22000, dayOff: "Monday" }, "2025-05-01");
+test("updateDriver takes effect from its date", [getDriverRate(rosterFile, "D1005", "2025-04-30").basePay, getDriverRate(rosterFile, "D1005", "2025-05-01").basePay, getDriverRate(rosterFile, "D1005", "2025-05-01").dayOff], [20000, 22000, "monday"]);
+deactivateDriver(rosterFile, "D1004", "2025-05-01");
+test("deactivateDriver hides the driver from later lists", [listDrivers(rosterFile, { date: "2025-04-30" }).length, listDrivers(rosterFile, { date: "2025-05-01" }).length], [5, 4]);
+test("runPayroll leaves out inactive drivers", runPayroll("./shifts.txt", rosterFile, "2025-05").map(p => p.driverID), ["D1001", "D1002", "D1003", "D1005"]);
+fs.writeFileSync(rosterFile, "D1001,Friday,30000,2\nD1002,Saturday,25000,3");
+test("entries without a name can be updated and deactivated", [updateDriver(rosterFile, "D1001", { basePay: 32000 }, "2025-05-01").basePay,
+    deactivateDriver(rosterFile, "D1002", "2025-05-01").active,
+    safe.updateDriver(rosterFile, "D1001", { driverName: " " }, "2025-06-01").error instanceof InvalidDriverError], [32000, false, true]);
+let savedTZ = process.env.TZ;
+process.env.TZ = "Pacific/Kiritimati";
+let localNow = new Date();
+let localToday = `${localNow.getFullYear()}-${String(localNow.getMonth() + 1).padStart(2, "0")}-${String(localNow.getDate()).padStart(2, "0")}`;
+fs.writeFileSync(rosterFile, "D1001,Friday,30000,2,Ahmed Hassan\nD1002,Saturday,25000,3,Sara Mohamed");
+deactivateDriver(rosterFile, "D1002", localToday);
+test("listDrivers defaults to today on the local clock", [listDrivers(rosterFile).map(d => d.driverID), getDriverRate(rosterFile, "D1002").active], [["D1001"], false]);
+if (savedTZ === undefined) delete process.env.TZ; else process.env.TZ = savedTZ;
+fs.rmSync(rosterDir, { recursive: true });
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+let wrongName = safe.addShiftRecord("./shifts.txt", { driverID: "D1001", driverName: "Sara Mohamed", date: "2025-04-20", startTime: "8:00:00 am", endTime: "4:00:00 pm" });
+test("addShiftRecord checks the name against the roster", wrongName.error instanceof InvalidShiftError, true);
+let unknownDriver = safe.addShiftRecord("./shifts.txt", { driverID: "D9999", driverName: "Nobody", date: "2025-04-20", startTime: "8:00:00 am", endTime: "4:00:00 pm" });
+test("addShiftRecord rejects drivers missing from the roster", unknownDriver.error instanceof UnknownDriverError, true);
+console.log();
+
+// ==================== Rate history ====================
+console.log("--- Rate history ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+let historyDir = fs.mkdtempSync("./rates-");
+let historyRates = `${historyDir}/driverRates.txt`;
+fs.copyFileSync("./PublicTestFiles/driverRatesPublic.txt", historyRates);
+updateDriver(historyRates, "D1001", { basePay: 36000, tier: 1, dayOff: "Saturday" }, "2025-04-16");
+test("getNetPay for an earlier month keeps the old salary", getNetPay("D1001", "200:00:00", "100:00:00", historyRates, "2025-03"), 30000);
+test("getNetPay pro-rates a mid-month raise", getNetPay("D1001", "200:00:00", "100:00:00", historyRates, "2025-04"), 33000);
+test("getNetPay pro-rates deductions by tier", getNetPay("D1001", "0:00:00", "100:00:00", historyRates, "2025-04"), 21670);
+test("getRequiredHoursPerMonth follows a day-off change",
+    getRequiredHoursPerMonth("./shifts.txt", historyRates, 0, "D1001", "2025-04", { holidayFile: "./PublicTestFiles/holidaysPublic.txt", allScheduledDays: true }), "169:12:00");
+test("getPayslip lists the rates used", getPayslip("./shifts.txt", historyRates, "D1001", "2025-04").rates.map(r => [r.from, r.to, r.basePay, r.share]),
+    [["2025-04-01", "2025-04-15", 30000, 0.5], ["2025-04-16", "2025-04-30", 36000, 0.5]]);
+fs.rmSync(historyDir, { recursive: true });
+console.log();
+
+// ==================== Bulk import ====================
+console.log("--- Bulk import ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+let importDir = fs.mkdtempSync("./import-");
+fs.writeFileSync(`${importDir}/shifts.csv`, [
+    "DriverID,DriverName,Date,StartTime,EndTime,Breaks",
+    "D1001,Ahmed Hassan,2025-04-20,8:00:00 am,5:00:00 pm,12:00:00 pm - 12:30:00 pm",
+    "D1001,Ahmed Hassan,2025-04-05,9:00:00 am,1:00:00 pm,",
+    "D1002,Sara Mohamed,2025-04-20,8:00:00 am,4:00:00 pm,",
+    "D1002,Sara Mohamed,2025-04-20,3:00:00 pm,6:00:00 pm,",
+    "D1003,Omar Ali,2025-04-21,25:00:00 am,4:00:00 pm,"
+].join("\n"));
+let importReport = importShifts("./shifts.txt", `${importDir}/shifts.csv`);
+test("importShifts reports every row", importReport.rows.map(r => [r.row, r.status]), [[1, "accepted"], [2, "duplicate"], [3, "accepted"], [4, "duplicate"], [5, "invalid"]]);
+test("importShifts writes the accepted rows", [importReport.written, getShiftStore("./shifts.txt").all().length], [2, 11]);
+test("importShifts computes derived fields", getShiftStore("./shifts.txt").query({ driverID: "D1001" }).find(r => r.date === "2025-04-20").activeTime, "8:30:00");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+fs.writeFileSync(`${importDir}/shifts.json`, JSON.stringify([
+    { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-04-21", startTime: "8:00:00 am", endTime: "4:00:00 pm" },
+    { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-04-05", startTime: "9:00:00 am", endTime: "10:00:00 am" }]));
+let rejectedImport = importShifts("./shifts.txt", `${importDir}/shifts.json`, { onDuplicate: "reject" });
+test("importShifts with onDuplicate reject writes nothing", [rejectedImport.written, getShiftStore("./shifts.txt").all().length], [0, 9]);
+test("importShifts with onDuplicate reject marks the other rows rejected", rejectedImport.rows.map(r => [r.row, r.status]), [[1, "rejected"], [2, "duplicate"]]);
+fs.rmSync(importDir, { recursive: true });
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+fs.rmSync("./shifts.txt.audit.jsonl", { force: true });
+console.log();
+
+// ==================== Edit and delete ====================
+console.log("--- Edit and delete ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+fs.rmSync("./shifts.txt.audit.jsonl", { force: true });
+let edited = updateShiftRecord("./shifts.txt", { driverID: "D1001", date: "2025-04-15" }, { endTime: "11:00:00 pm" });
+test("updateShiftRecord recomputes derived fields", [edited.shiftDuration, edited.idleTime, edited.activeTime, edited.metQuota], ["16:00:00", "2:00:00", "14:00:00", true]);
+test("updateShiftRecord keeps the record in place", getShiftStore("./shifts.txt").all()[3].endTime, "11:00:00 pm");
+test("updateShiftRecord rejects overlaps", safe.updateShiftRecord("./shifts.txt", { driverID: "D1003", date: "2025-04-07" }, { endTime: "8:00:00 am", endDate: "2025-04-08" }).error instanceof DuplicateShiftError, true);
+deleteShiftRecord("./shifts.txt", { driverID: "D1002", date: "2025-04-13", startTime: "8:00:00 am" });
+test("deleteShiftRecord removes the record", getShiftStore("./shifts.txt").query({ driverID: "D1002" }).map(r => r.date), ["2025-04-05", "2025-04-06"]);
+test("deleteShiftRecord is audited", getChangeHistory("./shifts.txt", "D1002").map(e => [e.operation, e.after]), [["delete", null]]);
+test("getShiftsAt undoes edits and deletes", getShiftsAt("./shifts.txt", "2000-01-01T00:00:00Z"), getShiftStore("./PublicTestFiles/shiftsPublic.txt").all());
+test("missing shift throws ShiftNotFoundError", safe.deleteShiftRecord("./shifts.txt", { driverID: "D1002", date: "2025-04-13" }).error instanceof ShiftNotFoundError, true);
+let eidShift = { driverID: "D1003", driverName: "Omar Ali", date: "2025-04-20", startTime: "8:00:00 am", endTime: "1:00:00 pm" };
+let eidFlags = () => getShiftStore("./shifts.txt").query({ driverID: "D1003" }).filter(r => r.date === "2025-04-20").map(r => r.metQuota);
+test("metQuota of a single short shift", addShiftRecord("./shifts.txt", eidShift).metQuota, false);
+test("metQuota counts all of the day's shifts", [addShiftRecord("./shifts.txt", { ...eidShift, startTime: "2:00:00 pm", endTime: "7:00:00 pm" }).metQuota, eidFlags()], [true, [true, true]]);
+deleteShiftRecord("./shifts.txt", { driverID: "D1003", date: "2025-04-20", startTime: "2:00:00 pm" });
+test("deleting a shift re-evaluates the day", eidFlags(), [false]);
+test("importShifts sets metQuota from the day's total", importShifts("./shifts.txt", [
+    { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-04-22", startTime: "8:00:00 am", endTime: "11:00:00 am" },
+    { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-04-22", startTime: "1:00:00 pm", endTime: "4:00:00 pm" }
+]).written && getShiftStore("./shifts.txt").query({ driverID: "D1001" }).filter(r => r.date === "2025-04-22").map(r => r.metQuota), [true, true]);
+setBonus("./shifts.txt", "D1001", "2025-04-22", true);
+test("a bonus day with two shifts counts once", [countBonusPerMonth("./shifts.txt", "D1001", "2025-04"),
+    getPayslip("./shifts.txt", "./PublicTestFiles/driverRatesPublic.txt", "D1001", "2025-04").bonusCount], [2, 2]);
+fs.writeFileSync("./closedPeriods.json", JSON.stringify({ "2025-04": { closedAt: "2025-05-01T00:00:00Z", closedBy: "payroll" } }));
+test("closed period refuses edits", [
+    safe.updateShiftRecord("./shifts.txt", { driverID: "D1001", date: "2025-04-05" }, { endTime: "6:00:00 pm" }).error instanceof PeriodClosedError,
+    safe.deleteShiftRecord("./shifts.txt", { driverID: "D1001", date: "2025-04-05" }).error instanceof PeriodClosedError], [true, true]);
+let lateShift = { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-03-31", startTime: "8:00:00 pm", endTime: "11:00:00 pm" };
+addShiftRecord("./shifts.txt", lateShift);
+test("closed period refuses shifts running into it", [
+    safe.addShiftRecord("./shifts.txt", { ...lateShift, date: "2025-03-30", endTime: "6:00:00 am", endDate: "2025-04-01" }).error instanceof PeriodClosedError,
+    importShifts("./shifts.txt", [{ ...lateShift, date: "2025-03-29", endTime: "6:00:00 am", endDate: "2025-04-01" }]).rows[0].status,
+    safe.updateShiftRecord("./shifts.txt", { driverID: "D1001", date: "2025-03-31" }, { endTime: "6:00:00 am", endDate: "2025-04-01" }).error instanceof PeriodClosedError],
+    [true, "invalid", true]);
+fs.unlinkSync("./closedPeriods.json");
+fs.writeFileSync("./shifts.jsonl", getShiftStore("./PublicTestFiles/shiftsPublic.txt").all().map(r => JSON.stringify(r) + "\n").join(""));
+updateShiftRecord("./shifts.jsonl", { driverID: "D1001", date: "2025-04-15" }, { endTime: "4:00:00 pm" });
+deleteShiftRecord("./shifts.jsonl", { driverID: "D1002", date: "2025-04-13" });
+test("JSON-lines edit and delete", [getShiftStore("./shifts.jsonl").all().length, getTotalActiveHoursPerMonth("./shifts.jsonl", "D1001", "2025-04")], [8, "34:30:00"]);
+fs.unlinkSync("./shifts.jsonl");
+fs.rmSync("./shifts.jsonl.audit.jsonl", { force: true });
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+console.log();
+
+// ==================== Period close ====================
+console.log("--- Period close ---");
+let closeDir = fs.mkdtempSync("./close-");
+let closeShifts = `${closeDir}/shifts.txt`, closeRates = `${closeDir}/driverRates.txt`;
+resetFile("./PublicTestFiles/shiftsPublic.txt", closeShifts);
+resetFile("./PublicTestFiles/driverRatesPublic.txt", closeRates);
+let closedApril = closePeriod(closeShifts, closeRates, "2025-04", { actor: "amal" });
+test("closePeriod stores the payroll", [closedApril.status, closedApril.closedBy, closedApril.payroll.map(p => p.netPay)], ["closed", "amal", [30000, 25000, 45000, 15000]]);
+test("closed month refuses new shifts, bonuses and imports", [
+    safe.addShiftRecord(closeShifts, { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-04-20", startTime: "8:00:00 am", endTime: "4:00:00 pm" }).error instanceof PeriodClosedError,
+    safe.setBonus(closeShifts, "D1001", "2025-04-05", true).error instanceof PeriodClosedError,
+    importShifts(closeShifts, [{ driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-04-21", startTime: "8:00:00 am", endTime: "4:00:00 pm" }]).rows[0].status], [true, true, "invalid"]);
+test("other months stay open", addShiftRecord(closeShifts, { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-05-04", startTime: "8:00:00 am", endTime: "4:00:00 pm" }).date, "2025-05-04");
+test("closePeriod twice throws PeriodClosedError", safe.closePeriod(closeShifts, closeRates, "2025-04").error instanceof PeriodClosedError, true);
+test("reopenPeriod needs a reason", safe.reopenPeriod(closeShifts, "2025-04", { actor: "amal" }).ok, false);
+test("reopenPeriod without an actor throws UnauthorisedError", safe.reopenPeriod(closeShifts, "2025-04", { reason: "Late timesheet" }).error instanceof UnauthorisedError, true);
+test("reopenPeriod by someone else throws UnauthorisedError", safe.reopenPeriod(closeShifts, "2025-04", { actor: "sam", reason: "Late timesheet" }).error instanceof UnauthorisedError, true);
+fs.writeFileSync(`${closeDir}/payrollAdmins.txt`, "sam\n");
+let reopened = reopenPeriod(closeShifts, "2025-04", { actor: "sam", reason: "Late timesheet" });
+test("reopenPeriod by a payroll admin records the reason", [reopened.status, reopened.history.map(h => [h.action, h.by, h.reason])],
+    ["reopened", [["close", "amal", undefined], ["reopen", "sam", "Late timesheet"]]]);
+setBonus(closeShifts, "D1001", "2025-04-05", true);
+updateDriver(closeRates, "D1003", { basePay: 48000 }, "2025-04-01");
+test("closing again keeps the paid payroll", closePeriod(closeShifts, closeRates, "2025-04", { actor: "sam" }).payroll.map(p => p.netPay), [30000, 25000, 45000, 15000]);
+test("getPeriodAdjustments compares live data with what was paid", getPeriodAdjustments(closeShifts, closeRates, "2025-05"),
+    [{ driverID: "D1003", period: "2025-04", paid: 45000, due: 48000, amount: 3000 }]);
+let mayPayroll = closePeriod(closeShifts, closeRates, "2025-05", { actor: "sam" }).payroll.find(p => p.driverID === "D1003");
+test("runPayroll adds the adjustment to the next period", [mayPayroll.adjustments, mayPayroll.adjustment, mayPayroll.totalPay], [[{ period: "2025-04", amount: 3000 }], 3000, 51000]);
+test("settled adjustments are not paid twice", getPeriodAdjustments(closeShifts, closeRates, "2025-06"), []);
+fs.rmSync(closeDir, { recursive: true });
+console.log();
+
+// ==================== Anomaly report ====================
+console.log("--- Anomaly report ---");
+test("getAnomalyReport on the sample data", getAnomalyReport("./PublicTestFiles/shiftsPublic.txt", "./PublicTestFiles/driverRatesPublic.txt")
+    .map(d => [d.driverID, d.anomalies.map(a => [a.date, a.check])]),
+    [["D1002", [["2025-04-05", "dayOff"], ["2025-04-06", "derivedMismatch"]]], ["D1003", [["2025-04-08", "derivedMismatch"]]]]);
+let anomalyDir = fs.mkdtempSync("./anomaly-");
+fs.writeFileSync(`${anomalyDir}/shifts.txt`, [
+    "DriverID,DriverName,Date,StartTime,EndTime,ShiftDuration,IdleTime,ActiveTime,MetQuota,HasBonus",
+    "D1001,Ahmed Hassan,2025-05-05,9:00:00 am,8:59:00 am,23:59:00,10:00:00,13:59:00,false,false",
+    "D1001,Ahmed Hassan,2025-05-06,4:00:00 am,10:00:00 am,6:00:00,4:00:00,2:00:00,false,true",
+    "D1003,Omar Ali,2025-05-06,9:00:00 am,5:00:00 pm,8:00:00,0:00:00,8:00:00,false,false",
+    "D1003,Omar Ali,2025-05-07,9:00:00 am,25:00:00 pm,8:00:00,0:00:00,8:00:00,true,false"
+].join("\n"));
+let anomalies = getAnomalyReport(`${anomalyDir}/shifts.txt`, "./PublicTestFiles/driverRatesPublic.txt");
+test("getAnomalyReport flags long, idle and unearned-bonus shifts", anomalies[0].anomalies.map(a => [a.date, a.check]),
+    [["2025-05-05", "longShift"], ["2025-05-06", "mostlyIdle"], ["2025-05-06", "bonusWithoutQuota"]]);
+test("getAnomalyReport reports shifts it can't recompute", anomalies[1].anomalies.map(a => a.check), ["invalid"]);
+test("getAnomalyReport with a higher limit and chosen checks", getAnomalyReport(`${anomalyDir}/shifts.txt`, "./PublicTestFiles/driverRatesPublic.txt",
+    { maxShift: "24:00:00", checks: ["longShift"], period: "2025-05" }).map(d => d.anomalies.length), [1]);
+test("getAnomalyReport rejects unknown checks", safe.getAnomalyReport(`${anomalyDir}/shifts.txt`, "./PublicTestFiles/driverRatesPublic.txt", { checks: ["nope"] }).ok, false);
+fs.mkdirSync(`${anomalyDir}/rates`);
+resetFile("./PublicTestFiles/driverRatesPublic.txt", `${anomalyDir}/rates/driverRates.txt`);
+fs.writeFileSync(`${anomalyDir}/rates/holidays.txt`, "Name,StartDate,EndDate,DailyMinimum,Drivers\nBank holiday,2025-05-06,2025-05-06,off,");
+test("getAnomalyReport uses the holidays next to the rates file", ["./PublicTestFiles/driverRatesPublic.txt", `${anomalyDir}/rates/driverRates.txt`]
+    .map(rateFile => getAnomalyReport(`${anomalyDir}/shifts.txt`, rateFile, { checks: ["bonusWithoutQuota"] }).map(d => d.driverID)), [["D1001", "D1003"], ["D1003"]]);
+fs.rmSync(anomalyDir, { recursive: true });
+console.log();
+
+// ==================== Clock in and out ====================
+console.log("--- Clock in and out ---");
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+test("clockIn opens a shift with the roster name", clockIn("./shifts.txt", "D1003", { at: "2025-04-20 9:00:00 pm" }),
+    { driverID: "D1003", driverName: "Omar Ali", date: "2025-04-20", startTime: "9:00:00 pm" });
+test("clockIn twice is a duplicate", safe.clockIn("./shifts.txt", "D1003", { at: "2025-04-20 9:05:00 pm" }).error instanceof DuplicateShiftError, true);
+test("clockIn inside a recorded shift is a duplicate", safe.clockIn("./shifts.txt", "D1001", { at: "2025-04-05 10:00:00 am" }).error instanceof DuplicateShiftError, true);
+savedTZ = process.env.TZ;
+process.env.TZ = "Asia/Tokyo";
+test("clockIn with a Date uses the local clock", clockIn("./shifts.txt", "D1002", { at: new Date(Date.UTC(2025, 3, 21, 3, 15, 0)) }),
+    { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-04-21", startTime: "12:15:00 pm" });
+if (savedTZ === undefined) delete process.env.TZ; else process.env.TZ = savedTZ;
+test("getDriversOnShift flags shifts open too long", getDriversOnShift("./shifts.txt", { at: "2025-04-21 3:00:00 pm" }).map(s => [s.driverID, s.openFor, s.overdue]),
+    [["D1003", "18:00:00", true], ["D1002", "2:45:00", false]]);
+test("getDriversOnShift with a custom maximum", getDriversOnShift("./shifts.txt", { at: "2025-04-21 3:00:00 pm", maxOpen: "20:00:00" }).map(s => s.overdue), [false, false]);
+test("clockOut before clockIn is refused", safe.clockOut("./shifts.txt", "D1003", { at: "2025-04-20 8:00:00 pm" }).error instanceof InvalidShiftError, true);
+test("clockOut records the shift", clockOut("./shifts.txt", "D1003", { at: "2025-04-21 5:00:00 am" }),
+    { driverID: "D1003", driverName: "Omar Ali", date: "2025-04-20", startTime: "9:00:00 pm", endTime: "2025-04-21 5:00:00 am",
+      shiftDuration: "8:00:00", idleTime: "7:00:00", activeTime: "1:00:00", metQuota: false, hasBonus: false });
+test("clockOut leaves the others on shift", getDriversOnShift("./shifts.txt").map(s => s.driverID), ["D1002"]);
+test("clockOut without clockIn throws ShiftNotFoundError", safe.clockOut("./shifts.txt", "D1003").error instanceof ShiftNotFoundError, true);
+fs.unlinkSync("./openShifts.json");
+fs.rmSync("./shifts.txt.audit.jsonl", { force: true });
+resetFile("./PublicTestFiles/shiftsPublic.txt", "./shifts.txt");
+console.log();
+
+// ==================== HTTP API ====================
+console.log("--- HTTP API ---");
+let apiDir = fs.mkdtempSync("./api-");
+let apiFiles = { shifts: `${apiDir}/shifts.txt`, rates: `${apiDir}/driverRates.txt` };
+resetFile("./PublicTestFiles/shiftsPublic.txt", apiFiles.shifts);
+resetFile("./PublicTestFiles/driverRatesPublic.txt", apiFiles.rates);
+let api = (method, url, body) => handleRequest(apiFiles, { method, url, body: body === undefined ? "" : JSON.stringify(body) });
+let apiShift = { driverID: "D1001", driverName: "Ahmed Hassan", date: "2025-04-20", startTime: "8:00:00 am", endTime: "5:00:00 pm" };
+test("POST /shifts adds a shift", [api("POST", "/shifts", apiShift).status, getShiftStore(apiFiles.shifts).all().length], [201, 10]);
+test("POST /shifts duplicate is 409", api("POST", "/shifts", apiShift).status, 409);
+test("POST /shifts unknown driver is 404", api("POST", "/shifts", { ...apiShift, driverID: "D9999" }).status, 404);
+test("POST /shifts invalid JSON is 400", handleRequest(apiFiles, { method: "POST", url: "/shifts", body: "{ not json" }).status, 400);
+test("POST /shifts non-object body is 400", api("POST", "/shifts", [apiShift]).status, 400);
+test("PUT bonus sets the flag", [api("PUT", "/shifts/D1001/2025-04-20/bonus", { hasBonus: true }).status,
+    api("GET", "/drivers/D1001/months/2025-04/bonuses").body.bonusCount], [200, 2]);
+test("PUT bonus validates the body", api("PUT", "/shifts/D1001/2025-04-20/bonus", { hasBonus: "yes" }).status, 400);
+test("PUT bonus without a shift is 404", api("PUT", "/shifts/D1001/2025-04-21/bonus", { hasBonus: true }).status, 404);
+test("PUT bonus on an invalid date is 400", api("PUT", "/shifts/D1001/2025-13-01/bonus", { hasBonus: true }).status, 400);
+test("GET active-hours", api("GET", "/drivers/D1001/months/2025-04/active-hours").body, { driverID: "D1001", month: "2025-04", activeHours: "42:30:00" });
+test("GET required-hours with bonus override", api("GET", "/drivers/D1001/months/4/required-hours?bonus=0").body.requiredHours,
+    getRequiredHoursPerMonth(apiFiles.shifts, apiFiles.rates, 0, "D1001", 4));
+test("GET net-pay", api("GET", "/drivers/D1001/months/2025-04/net-pay").status, 200);
+resetFile("./PublicTestFiles/payPolicyPublic.json", `${apiDir}/payPolicy.json`);
+api("POST", "/shifts", { ...apiShift, date: "2025-08-04", endTime: "6:00:00 pm" });
+api("POST", "/shifts", { ...apiShift, date: "2025-08-08", endTime: "2:00:00 pm" });
+api("PUT", "/shifts/D1001/2025-08-08/bonus", { hasBonus: true });
+test("GET net-pay matches the payslip and payroll", [api("GET", "/drivers/D1001/months/2025-08/net-pay").body.netPay,
+    getPayslip(apiFiles.shifts, apiFiles.rates, "D1001", "2025-08").netPay,
+    runPayroll(apiFiles.shifts, apiFiles.rates, "2025-08").find(p => p.driverID === "D1001").netPay], [33387, 33387, 33387]);
+let augustPayslip = getPayslip(apiFiles.shifts, apiFiles.rates, "D1001", "2025-08");
+let augustNetPay = options => getNetPay("D1001", augustPayslip.actualHours, augustPayslip.requiredHours, apiFiles.rates, "2025-08", undefined, options);
+test("getNetPay pays the bonus only when given and weekend overtime at the regular rate", [augustNetPay(), augustNetPay({ bonusCount: 1 }),
+    augustNetPay({ bonusCount: 1, itemised: true }).items.map(line => line.item)], [32639, 32889, ["Base pay", "Overtime", "Bonus payout"]]);
+fs.unlinkSync(`${apiDir}/payPolicy.json`);
+test("GET unknown driver is 404", api("GET", "/drivers/D9999/months/2025-04/net-pay").status, 404);
+test("GET /payroll/:period lists every driver", api("GET", "/payroll/2025-04").body.map(p => p.driverID), ["D1001", "D1002", "D1003", "D1004"]);
+test("clock-in and clock-out over HTTP", [api("POST", "/drivers/D1002/clock-in", { at: "2025-04-22 8:00:00 am" }).status,
+    api("GET", "/on-shift?max=1:00:00").body.map(s => s.driverID),
+    api("POST", "/drivers/D1002/clock-out", { at: "2025-04-22 4:00:00 pm" }).body.activeTime,
+    api("POST", "/drivers/D1002/clock-out").status], [201, ["D1002"], "8:00:00", 404]);
+test("GET /anomalies", [api("GET", "/anomalies?period=2025-04").body.map(d => d.driverID), api("GET", "/anomalies?maxIdleShare=2").status], [["D1002", "D1003"], 400]);
+let apiAs = (actor, method, url, body) => handleRequest(apiFiles, { method, url, body: JSON.stringify(body), actor });
+test("closing and reopening a period over HTTP", [api("POST", "/payroll/2025-04/close").status,
+    apiAs("amal", "POST", "/payroll/2025-04/close").status,
+    api("POST", "/shifts", { ...apiShift, date: "2025-04-25" }).status,
+    api("POST", "/payroll/2025-04/reopen", { reason: "Typo" }).status,
+    apiAs("intruder", "POST", "/payroll/2025-04/reopen", { reason: "Typo" }).status,
+    apiAs("amal", "POST", "/payroll/2025-04/reopen", {}).status,
+    apiAs("amal", "POST", "/payroll/2025-04/reopen", { reason: "Typo" }).body.status], [401, 201, 409, 401, 403, 400, "reopened"]);
+let splitFiles = { shifts: `${apiDir}/split/shifts.txt`, rates: apiFiles.rates };
+fs.mkdirSync(`${apiDir}/split`);
+resetFile("./PublicTestFiles/shiftsPublic.txt", splitFiles.shifts);
+test("POST /shifts checks the driver against the rates file", [
+    handleRequest(splitFiles, { method: "POST", url: "/shifts", body: JSON.stringify({ ...apiShift, driverID: "NOPE" }) }).status,
+    handleRequest(splitFiles, { method: "POST", url: "/shifts", body: JSON.stringify({ ...apiShift, driverName: "Wrong Name" }) }).status], [404, 400]);
+test("malformed escape in the path is 400", api("GET", "/drivers/%E0%A4%A/months/2025-04/net-pay").status, 400);
+test("unknown route is 404, wrong method 405", [api("GET", "/nowhere").status, api("DELETE", "/payroll/2025-04").status], [404, 405]);
+fs.rmSync(apiDir, { recursive: true });
+console.log();
+
+// ==================== Command-line tool ====================
+console.log("--- Command-line tool ---");
+let cliDir = fs.mkdtempSync("./cli-");
+resetFile("./PublicTestFiles/shiftsPublic.txt", `${cliDir}/shifts.txt`);
+resetFile("./PublicTestFiles/driverRatesPublic.txt", `${cliDir}/driverRates.txt`);
+// Runs a command against the files in cliDir (unless args give others);
+// returns its exit code and the lines it printed (to stdout or stderr)
+let cli = (command, ...args) => {
+    const output = [];
+    const { log, error } = console;
+    console.log = console.error = line => output.push(...String(line).split("\n"));
+    try {
+        return { exitCode: runCli([command, "--shifts", `${cliDir}/shifts.txt`, "--rates", `${cliDir}/driverRates.txt`, ...args]), output };
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+};
+let cliHelp = cli("help");
+test("cli help prints the usage", [cliHelp.exitCode, cliHelp.output[0]], [EXIT.OK, "Usage: node cli.js <command> [options]"]);
+test("cli unknown command is a usage error", [cli("nowhere").exitCode, cli("nowhere").output[0]], [EXIT.USAGE, "Error: Unknown command: nowhere"]);
+test("cli missing option is a usage error", cli("net-pay", "--driver", "D1001").output[0], "Error: Missing required option --month");
+let cliBonus = cli("set-bonus", "--driver", "D1001", "--date", "2025-04-05", "--value", "true");
+test("cli set-bonus prints the change", [cliBonus.exitCode, cliBonus.output[2], countBonusPerMonth(`${cliDir}/shifts.txt`, "D1001", "2025-04")],
+    [EXIT.OK, "D1001     2025-04-05  true", 2]);
+let cliNoShift = cli("set-bonus", "--driver", "D1001", "--date", "2025-04-21", "--value", "true");
+test("cli set-bonus without a shift fails", [cliNoShift.exitCode, cliNoShift.output], [EXIT.NOT_FOUND, ["Error: No shift for D1001 on 2025-04-21"]]);
+test("cli set-bonus unknown driver", cli("set-bonus", "--driver", "D9999", "--date", "2025-04-05", "--value", "true").exitCode, EXIT.UNKNOWN_DRIVER);
+test("cli add-shift duplicate", cli("add-shift", "--driver", "D1001", "--name", "Ahmed Hassan", "--date", "2025-04-05",
+    "--start", "9:00:00 am", "--end", "1:00:00 pm").exitCode, EXIT.DUPLICATE);
+let cliBadBonus = cli("required-hours", "--driver", "D1001", "--month", "2025-04", "--bonus", "abc");
+test("cli required-hours rejects --bonus abc", [cliBadBonus.exitCode, cliBadBonus.output[0]], [EXIT.USAGE, "Error: --bonus must be a whole number"]);
+test("cli required-hours as JSON", JSON.parse(cli("required-hours", "--driver", "D1001", "--month", "4", "--bonus", "0", "--format", "json").output.join("\n")),
+    { driverID: "D1001", month: "4", bonusCount: 0, requiredHours: getRequiredHoursPerMonth(`${cliDir}/shifts.txt`, `${cliDir}/driverRates.txt`, 0, "D1001", 4) });
+fs.mkdirSync(`${cliDir}/split`);
+resetFile("./PublicTestFiles/shiftsPublic.txt", `${cliDir}/split/shifts.txt`);
+test("cli add-shift checks the name against --rates", cli("add-shift", "--shifts", `${cliDir}/split/shifts.txt`, "--driver", "D1001", "--name", "Wrong Name",
+    "--date", "2025-04-21", "--start", "9:00:00 am", "--end", "1:00:00 pm").exitCode, EXIT.INVALID_INPUT);
+fs.unlinkSync(`${cliDir}/shifts.txt`);
+test("cli missing shifts file", cli("active-hours", "--driver", "D1001", "--month", "2025-04").exitCode, EXIT.FILE_MISSING);
+fs.rmSync(cliDir, { recursive: true });
+console.log();
+
+// ==================== Dataset cache ====================
+console.log("--- Dataset cache ---");
+let cacheDir = fs.mkdtempSync("./cache-");
+let cacheShifts = `${cacheDir}/shifts.txt`, cacheRates = `${cacheDir}/driverRates.txt`;
+resetFile("./PublicTestFiles/shiftsPublic.txt", cacheShifts);
+resetFile("./PublicTestFiles/driverRatesPublic.txt", cacheRates);
+let cachedHours = getTotalActiveHoursPerMonth(cacheShifts, "D1001", "2025-04");
+fs.appendFileSync(cacheShifts, "\nD1001,Ahmed Hassan,2025-04-20,8:00:00 am,10:00:00 am,2:00:00,0:00:00,2:00:00,false,false");
+test("a file changed by another process is reloaded", [cachedHours, getTotalActiveHoursPerMonth(cacheShifts, "D1001", "2025-04")], ["33:30:00", "35:30:00"]);
+let queried = getShiftStore(cacheShifts).query({ driverID: "D1001", period: "2025-04" });
+setBonus(cacheShifts, "D1001", queried[0].date, true);
+test("updates leave records from earlier queries as they were", [queried[0].hasBonus, countBonusPerMonth(cacheShifts, "D1001", "2025-04")], [false, 2]);
+addShiftRecord(cacheShifts, { driverID: "D1002", driverName: "Sara Mohamed", date: "2025-04-30", startTime: "6:00:00 pm", endTime: "3:00:00 pm", endDate: "2025-05-01" });
+test("spanning queries include shifts running into the period", [getShiftStore(cacheShifts).query({ driverID: "D1002", period: "2025-05" }).length,
+    getShiftStore(cacheShifts).query({ driverID: "D1002", period: "2025-05", spanning: true }).map(r => r.date)], [0, ["2025-04-30"]]);
+let cachedPay = getDriverRate(cacheRates, "D1001").basePay;
+fs.writeFileSync(cacheRates, fs.readFileSync(cacheRates, "utf8").replace("D1001,Friday,30000", "D1001,Friday,32000"));
+test("a changed rates file is reloaded", [cachedPay, getDriverRate(cacheRates, "D1001").basePay], [30000, 32000]);
+fs.rmSync(cacheDir, { recursive: true });
 console.log();
 
 // ==================== Summary ====================
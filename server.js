@@ -0,0 +1,377 @@
+const fs = require("fs");
+const http = require("http");
+
+const {
+    addShiftRecord,
+    setBonus,
+    clockIn,
+    clockOut,
+    getDriversOnShift,
+    getAnomalyReport,
+    countBonusPerMonth,
+    getTotalActiveHoursPerMonth,
+    getRequiredHoursPerMonth,
+    getPayslip,
+    runPayroll,
+    closePeriod,
+    reopenPeriod,
+    getDriverRate,
+    ShiftTrackerError,
+    UnknownDriverError,
+    DuplicateShiftError,
+    DuplicateDriverError,
+    ShiftNotFoundError,
+    ConflictError,
+    LockTimeoutError,
+    PeriodClosedError,
+    UnauthorisedError
+} = require("./main.js");
+
+// Request bodies above this size are refused with 413
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function requireFile(filePath) {
+    if (!fs.existsSync(filePath))
+        throw new HttpError(500, `File not found: ${filePath}`);
+}
+
+// Throws UnknownDriverError when the driver is not in the rates file
+function requireDriver(ratesFile, driverID) {
+    getDriverRate(ratesFile, driverID);
+}
+
+function requireObject(body) {
+    if (body === null || typeof body !== "object" || Array.isArray(body))
+        throw new HttpError(400, "Request body must be a JSON object");
+}
+
+// Closing and reopening a period are only done on behalf of a named actor
+function requireActor(context) {
+    if (typeof context.actor !== "string" || !context.actor.trim())
+        throw new HttpError(401, "An X-Actor header is required");
+}
+
+function parseBoolean(value, name) {
+    if (value === undefined) return undefined;
+
+    if (value !== "true" && value !== "false")
+        throw new HttpError(400, `${name} must be true or false`);
+
+    return value === "true";
+}
+
+// Routes: each handler gets the path parameters, the query, the parsed body
+// and the request context, and returns { status, body } or just the body
+const ROUTES = [
+    {
+        method: "POST",
+        path: "/shifts",
+        handler: (params, query, body, context) => {
+            requireObject(body);
+            requireFile(context.files.rates);
+            requireDriver(context.files.rates, body.driverID);
+
+            return { status: 201, body: addShiftRecord(context.files.shifts, body, context.actor, { rateFile: context.files.rates }) };
+        }
+    },
+    {
+        method: "PUT",
+        path: "/shifts/:driverID/:date/bonus",
+        handler: ({ driverID, date }, query, body, context) => {
+            requireObject(body);
+            requireFile(context.files.shifts);
+            requireDriver(context.files.rates, driverID);
+
+            if (typeof body.hasBonus !== "boolean")
+                throw new HttpError(400, "hasBonus must be true or false");
+
+            setBonus(context.files.shifts, driverID, date, body.hasBonus, context.actor);
+
+            return { driverID, date, hasBonus: body.hasBonus };
+        }
+    },
+    {
+        // An optional { "at": "yyyy-mm-dd hh:mm:ss am" } body backdates the
+        // clock time; without it the server clock is used
+        method: "POST",
+        path: "/drivers/:driverID/clock-in",
+        handler: ({ driverID }, query, body = {}, context) => {
+            requireObject(body);
+
+            return { status: 201, body: clockIn(context.files.shifts, driverID, { at: body.at, rateFile: context.files.rates }) };
+        }
+    },
+    {
+        method: "POST",
+        path: "/drivers/:driverID/clock-out",
+        handler: ({ driverID }, query, body = {}, context) => {
+            requireObject(body);
+
+            return clockOut(context.files.shifts, driverID, { at: body.at, actor: context.actor, rateFile: context.files.rates });
+        }
+    },
+    {
+        // ?max=<h:mm:ss> sets when an open shift counts as overdue
+        method: "GET",
+        path: "/on-shift",
+        handler: (params, query, body, context) => getDriversOnShift(context.files.shifts, { maxOpen: query.max })
+    },
+    {
+        method: "GET",
+        path: "/drivers/:driverID/months/:month/bonuses",
+        handler: ({ driverID, month }, query, body, context) => {
+            requireFile(context.files.shifts);
+            requireDriver(context.files.rates, driverID);
+
+            const bonusCount = Math.max(0, countBonusPerMonth(context.files.shifts, driverID, month));
+
+            return { driverID, month, bonusCount };
+        }
+    },
+    {
+        method: "GET",
+        path: "/drivers/:driverID/months/:month/active-hours",
+        handler: ({ driverID, month }, query, body, context) => {
+            requireFile(context.files.shifts);
+            requireDriver(context.files.rates, driverID);
+
+            const activeHours = getTotalActiveHoursPerMonth(context.files.shifts, driverID, month);
+
+            return { driverID, month, activeHours };
+        }
+    },
+    {
+        // ?bonus=<count> overrides the recorded bonuses, ?allDays=true
+        // charges every scheduled day
+        method: "GET",
+        path: "/drivers/:driverID/months/:month/required-hours",
+        handler: ({ driverID, month }, query, body, context) => {
+            requireFile(context.files.shifts);
+            requireDriver(context.files.rates, driverID);
+
+            if (query.bonus !== undefined && !/^\d+$/.test(query.bonus))
+                throw new HttpError(400, "bonus must be a whole number");
+
+            const bonusCount = query.bonus !== undefined
+                ? Number(query.bonus)
+                : Math.max(0, countBonusPerMonth(context.files.shifts, driverID, month));
+            const allDays = parseBoolean(query.allDays, "allDays");
+
+            const requiredHours = getRequiredHoursPerMonth(context.files.shifts, context.files.rates, bonusCount, driverID, month,
+                { allScheduledDays: allDays === true });
+
+            return { driverID, month, bonusCount, requiredHours };
+        }
+    },
+    {
+        method: "GET",
+        path: "/drivers/:driverID/months/:month/net-pay",
+        handler: ({ driverID, month }, query, body, context) => {
+            requireFile(context.files.shifts);
+            requireDriver(context.files.rates, driverID);
+
+            // From the payslip, so it matches the payroll
+            const { actualHours, requiredHours, netPay } = getPayslip(context.files.shifts, context.files.rates, driverID, month);
+
+            return { driverID, month, actualHours, requiredHours, netPay };
+        }
+    },
+    {
+        // ?period=<m|yyyy-mm>&maxShift=<h:mm:ss>&maxIdleShare=<0-1>
+        method: "GET",
+        path: "/anomalies",
+        handler: (params, query, body, context) => {
+            requireFile(context.files.shifts);
+
+            const maxIdleShare = query.maxIdleShare !== undefined ? Number(query.maxIdleShare) : undefined;
+
+            return getAnomalyReport(context.files.shifts, context.files.rates,
+                { period: query.period, maxShift: query.maxShift, maxIdleShare });
+        }
+    },
+    {
+        method: "GET",
+        path: "/payroll/:period",
+        handler: ({ period }, query, body, context) => {
+            requireFile(context.files.shifts);
+            requireFile(context.files.rates);
+
+            return runPayroll(context.files.shifts, context.files.rates, period);
+        }
+    },
+    {
+        method: "POST",
+        path: "/payroll/:period/close",
+        handler: ({ period }, query, body, context) => {
+            requireActor(context);
+            requireFile(context.files.shifts);
+            requireFile(context.files.rates);
+
+            return { status: 201, body: closePeriod(context.files.shifts, context.files.rates, period, { actor: context.actor }) };
+        }
+    },
+    {
+        // Body: { "reason": "..." }; the X-Actor header must name a payroll admin
+        method: "POST",
+        path: "/payroll/:period/reopen",
+        handler: ({ period }, query, body, context) => {
+            requireActor(context);
+            requireObject(body);
+            requireFile(context.files.shifts);
+
+            return reopenPeriod(context.files.shifts, period, { actor: context.actor, reason: body.reason });
+        }
+    }
+];
+
+function matchPath(pattern, pathname) {
+    const expected = pattern.split("/");
+    const actual = pathname.split("/");
+
+    if (expected.length !== actual.length) return null;
+
+    const params = {};
+
+    for (let i = 0; i < expected.length; i++) {
+        if (expected[i].startsWith(":")) {
+            if (actual[i] === "") return null;
+
+            try {
+                params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+            } catch (error) {
+                throw new HttpError(400, `Invalid escape in path segment "${actual[i]}"`);
+            }
+        } else if (expected[i] !== actual[i]) {
+            return null;
+        }
+    }
+
+    return params;
+}
+
+function getStatus(error) {
+    if (error instanceof HttpError)
+        return error.status;
+
+    if (error instanceof UnknownDriverError || error instanceof ShiftNotFoundError)
+        return 404;
+
+    if (error instanceof DuplicateShiftError || error instanceof DuplicateDriverError
+        || error instanceof ConflictError || error instanceof PeriodClosedError)
+        return 409;
+
+    if (error instanceof UnauthorisedError)
+        return 403;
+
+    if (error instanceof LockTimeoutError)
+        return 503;
+
+    return 400;
+}
+
+// ============================================================
+// handleRequest(files, request)
+// files: (typeof object) { shifts, rates } data file paths
+// request: (typeof object) { method, url, body, actor }; body is the raw
+// request body text
+// Returns: { status, body } with body ready to send as JSON
+// ============================================================
+function handleRequest(files, { method, url, body, actor }) {
+    try {
+        const { pathname, searchParams } = new URL(url, "http://localhost");
+        const pathRoutes = ROUTES
+            .map(route => ({ route, params: matchPath(route.path, pathname.replace(/\/+$/, "") || "/") }))
+            .filter(match => match.params);
+
+        if (pathRoutes.length === 0)
+            throw new HttpError(404, `No route for ${pathname}`);
+
+        const match = pathRoutes.find(({ route }) => route.method === method);
+
+        if (!match)
+            throw new HttpError(405, `${method} is not allowed on ${pathname}`);
+
+        let parsedBody;
+
+        // An empty body is left undefined for the handler to refuse or default
+        if ((method === "POST" || method === "PUT") && body) {
+            try {
+                parsedBody = JSON.parse(body);
+            } catch (error) {
+                throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+            }
+        }
+
+        const query = Object.fromEntries(searchParams);
+        const result = match.route.handler(match.params, query, parsedBody, { files, actor });
+
+        return result && result.status !== undefined && "body" in result
+            ? result
+            : { status: 200, body: result };
+    } catch (error) {
+        if (!(error instanceof HttpError) && !(error instanceof ShiftTrackerError))
+            return { status: 500, body: { error: error.message } };
+
+        return { status: getStatus(error), body: { error: error.message } };
+    }
+}
+
+// ============================================================
+// createServer(files)
+// files: (typeof object) optional { shifts, rates } data file paths
+// (default ./shifts.txt and ./driverRates.txt)
+// Returns: an http.Server, not yet listening
+// ============================================================
+function createServer(files = {}) {
+    const dataFiles = {
+        shifts: files.shifts || "./shifts.txt",
+        rates: files.rates || "./driverRates.txt"
+    };
+
+    return http.createServer((request, response) => {
+        const chunks = [];
+        let size = 0;
+
+        const send = ({ status, body }) => {
+            response.writeHead(status, { "Content-Type": "application/json" });
+            response.end(JSON.stringify(body));
+        };
+
+        request.on("data", chunk => {
+            size += chunk.length;
+
+            if (size > MAX_BODY_BYTES) {
+                send({ status: 413, body: { error: `Request body is larger than ${MAX_BODY_BYTES} bytes` } });
+                request.destroy();
+                return;
+            }
+
+            chunks.push(chunk);
+        });
+
+        request.on("end", () => {
+            send(handleRequest(dataFiles, {
+                method: request.method,
+                url: request.url,
+                body: Buffer.concat(chunks).toString("utf8"),
+                actor: request.headers["x-actor"]
+            }));
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 3000;
+
+    createServer({ shifts: process.env.SHIFTS_FILE, rates: process.env.RATES_FILE })
+        .listen(port, () => console.log(`Shift tracker API listening on port ${port}`));
+}
+
+module.exports = { createServer, handleRequest };